@@ -3,6 +3,96 @@
  * Stack: Vanilla JS, CSS3, HTML5
  */
 
+// Months billed during a school year (September -> June)
+const SCHOOL_MONTHS = ['Septembre', 'Octobre', 'Novembre', 'Décembre', 'Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin'];
+
+// School levels (subject coefficients and fee amounts are set per level)
+const LEVELS = ['6ème', '5ème', '4ème', '3ème', 'Lycée'];
+
+const TERMS = ['Trimestre 1', 'Trimestre 2', 'Trimestre 3'];
+
+// Year-end decisions proposed from the annual average (thresholds in the school settings)
+const YEAR_DECISIONS = {
+    admis: { label: 'Admis(e) en classe supérieure', badge: 'status-valid' },
+    redouble: { label: 'Redouble', badge: 'status-warning' },
+    exclu: { label: 'Exclu(e)', badge: 'status-danger' }
+};
+
+// Distinctions granted by the conseil de classe at the end of a term
+const COUNCIL_MENTIONS = {
+    felicitations: { label: 'Félicitations', badge: 'status-valid' },
+    tableau: { label: "Tableau d'honneur", badge: 'status-valid' },
+    encouragements: { label: 'Encouragements', badge: 'status-valid' },
+    avertissement_travail: { label: 'Avertissement travail', badge: 'status-danger' },
+    avertissement_conduite: { label: 'Avertissement conduite', badge: 'status-danger' }
+};
+
+// Workflow of the grades of a subject for one class and term
+const GRADE_STATES = {
+    open: { label: 'Saisie ouverte', badge: 'status-warning', icon: 'ph-pencil-simple' },
+    submitted: { label: 'Soumise par le professeur', badge: 'status-warning', icon: 'ph-paper-plane-tilt' },
+    validated: { label: 'Validée par le principal', badge: 'status-valid', icon: 'ph-seal-check' },
+    locked: { label: 'Verrouillée', badge: 'status-valid', icon: 'ph-lock' }
+};
+
+// Kinds of evaluation a teacher can plan for a term (weight = default weight in the average)
+const EVALUATION_TYPES = {
+    devoir: { label: 'Devoir', weight: 1 },
+    composition: { label: 'Composition', weight: 2 },
+    interrogation: { label: 'Interrogation', weight: 1 },
+    oral: { label: 'Oral', weight: 1 }
+};
+const EVALUATION_SCALES = [10, 20, 40];
+
+// Half-day slots of the roll call (hours = default length of an absence)
+const ROLL_CALL_SLOTS = [
+    { id: 'matin', label: 'Matin (8h - 12h)', hours: 4, start: '08:00' },
+    { id: 'apres-midi', label: 'Après-midi (14h - 17h)', hours: 3, start: '14:00' }
+];
+
+// Teaching days of the timetable (week-end on Friday and Saturday)
+const TIMETABLE_DAYS = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi'];
+
+// One-hour periods of the timetable (slot = roll-call half-day the period belongs to)
+const TIMETABLE_PERIODS = [
+    { id: 'h08', start: '08:00', end: '09:00', slot: 'matin' },
+    { id: 'h09', start: '09:00', end: '10:00', slot: 'matin' },
+    { id: 'h10', start: '10:00', end: '11:00', slot: 'matin' },
+    { id: 'h11', start: '11:00', end: '12:00', slot: 'matin' },
+    { id: 'h14', start: '14:00', end: '15:00', slot: 'apres-midi' },
+    { id: 'h15', start: '15:00', end: '16:00', slot: 'apres-midi' },
+    { id: 'h16', start: '16:00', end: '17:00', slot: 'apres-midi' }
+];
+
+// Justification status of an absence (legacy records without status count as unjustified)
+const ABSENCE_STATUSES = {
+    unjustified: { label: 'Non justifiée', badge: 'status-danger' },
+    pending: { label: 'En attente', badge: 'status-warning' },
+    justified: { label: 'Justifiée', badge: 'status-valid' }
+};
+
+// Records that point to a student, subject or teacher (shown before a delete, repaired by the integrity check)
+const DEPENDENT_LABELS = {
+    grades: 'Notes',
+    absences: 'Absences et retards',
+    fees: 'Paiements',
+    notifications: 'Notifications',
+    scholarships: 'Bourses',
+    yearDecisions: 'Décisions de fin d\'année',
+    councilDecisions: 'Décisions du conseil de classe',
+    evaluationPlans: 'Plans d\'évaluation',
+    gradeStatuses: 'États de saisie des notes',
+    timetable: 'Créneaux d\'emploi du temps',
+    assignments: 'Affectations de professeurs'
+};
+
+// Entities that can be archived instead of deleted
+const ARCHIVABLE_ENTITIES = {
+    student: { collection: 'students', view: 'students', label: "l'élève", type: 'Élève' },
+    subject: { collection: 'subjects', view: 'subjects', label: 'la matière', type: 'Matière' },
+    teacher: { collection: 'teachers', view: 'teachers', label: 'le professeur', type: 'Professeur' }
+};
+
 const Storage = {
     key: 'edutrack_data_v2',
 
@@ -28,6 +118,16 @@ const Storage = {
         if (!data.principals) data.principals = [];
         if (!data.supervisors) data.supervisors = []; // Added Supervisors
         if (!data.grades) data.grades = [];
+        if (!data.feeSchedules) data.feeSchedules = [];
+        if (!data.receiptCounters) data.receiptCounters = {}; // { ownerId: last receipt number }
+        if (!data.schoolSettings) data.schoolSettings = [];
+        if (!data.notifications) data.notifications = [];
+        if (!data.auditLog) data.auditLog = [];
+        if (!data.evaluationPlans) data.evaluationPlans = [];
+        if (!data.yearDecisions) data.yearDecisions = [];
+        if (!data.councilDecisions) data.councilDecisions = [];
+        if (!data.gradeStatuses) data.gradeStatuses = [];
+        if (!data.timetable) data.timetable = [];
         return data;
     },
 
@@ -76,6 +176,16 @@ const Storage = {
         const data = this.get();
         let count = 0;
 
+        // Issued receipt numbers never change: the school's counter moves past the claimed ones,
+        // then unnumbered payments join its sequence, oldest first (see numberLegacyReceipts)
+        const unowned = data.fees.filter(f => !f.ownerId);
+        const lastIssued = Math.max(0, ...unowned.map(f => parseInt(f.receiptNumber) || 0));
+        data.receiptCounters[ownerId] = Math.max(data.receiptCounters[ownerId] || 0, lastIssued);
+        unowned
+            .filter(f => !f.receiptNumber)
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .forEach(f => f.receiptNumber = this.nextReceiptNumber(data, ownerId));
+
         const collections = ['students', 'teachers', 'subjects', 'grades', 'absences', 'fees', 'supervisors'];
         collections.forEach(col => {
             if (data[col]) {
@@ -92,8 +202,62 @@ const Storage = {
         return count;
     },
 
+    // Returns false when the browser storage is full (nothing is written then)
     save(data) {
-        localStorage.setItem(this.key, JSON.stringify(data));
+        try {
+            localStorage.setItem(this.key, JSON.stringify(data));
+            return true;
+        } catch (err) {
+            if (!this.isQuotaError(err)) throw err;
+            alert("Espace de stockage du navigateur plein : la dernière modification n'a pas été enregistrée. Supprimez d'anciens justificatifs pour libérer de la place.");
+            return false;
+        }
+    },
+
+    isQuotaError(err) {
+        return err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    },
+
+    // Justification files: one localStorage key per absence, the absence only keeps { name, type }.
+    // Keeps the main value small, so a few uploads cannot fill it and get() stays quick.
+    documentKey(absenceId) { return `edutrack_doc_${absenceId}`; },
+
+    // Moves absence.document.dataUrl to its own key; false when the storage is full
+    storeDocument(absence) {
+        const { dataUrl, ...meta } = absence.document;
+        try {
+            localStorage.setItem(this.documentKey(absence.id), dataUrl);
+        } catch (err) {
+            if (!this.isQuotaError(err)) throw err;
+            return false;
+        }
+        absence.document = meta;
+        return true;
+    },
+
+    getDocumentUrl(absence) {
+        return absence.document.dataUrl || localStorage.getItem(this.documentKey(absence.id));
+    },
+
+    removeDocument(absenceId) { localStorage.removeItem(this.documentKey(absenceId)); },
+
+    // Justification files saved inline by older versions move to their own keys (run at startup).
+    // storeDocument only drops an inline copy once its own key is written.
+    moveInlineDocuments() {
+        const data = this.get();
+        const inline = data.absences.filter(a => a.document && a.document.dataUrl);
+        if (inline.length === 0) return;
+
+        const moved = inline.map(a => this.storeDocument(a));
+        if (moved.includes(true)) this.save(data);
+    },
+
+    // New upload for an absence: stored apart, or dropped with a warning when the storage is full
+    attachDocument(absence) {
+        if (!absence.document || !absence.document.dataUrl) return;
+        if (this.storeDocument(absence)) return;
+        delete absence.document;
+        alert("Espace de stockage du navigateur plein : le justificatif n'a pas été enregistré.");
     },
 
     // Students
@@ -111,27 +275,52 @@ const Storage = {
         return student;
     },
 
-    getStudents() {
-        return this.filterByOwner(this.get().students);
+    // Archived students are left out unless asked for (name lookups of old records)
+    getStudents(includeArchived = false) {
+        const students = this.filterByOwner(this.get().students);
+        return includeArchived ? students : students.filter(s => !s.archived);
     },
 
+    // Ids stay the same, so grades, absences and fees keep pointing to the student
+    updateStudent(id, updates) {
+        const data = this.get();
+        const student = data.students.find(s => s.id === id);
+        if (!student) return;
+
+        const changes = this.getFieldChanges(student, updates);
+        if (Object.keys(changes).length === 0) return;
+
+        Object.assign(student, updates);
+        student.updatedAt = new Date().toISOString();
+        this.addAuditEntry(data, { entity: 'student', entityId: id, studentId: id, action: 'update', changes });
+        this.save(data);
+    },
+
+    // Grades, absences... of the student go with it (see getDependents). Refused (false) once
+    // payments exist: their receipt numbers and the ledger totals must stay intact, archive instead.
     deleteStudent(id) {
         const data = this.get();
+        if (this.getDependents('student', id, data).fees) return false;
         data.students = data.students.filter(s => s.id !== id);
-        this.save(data);
+        const removedAbsences = this.removeReferences(data, 'student', [id]);
+        if (this.save(data)) removedAbsences.forEach(absenceId => this.removeDocument(absenceId));
+        return true;
     },
 
     // Absences
     addAbsence(absence) {
         const data = this.get();
-        absence.id = Date.now().toString();
+        // Random suffix: a roll call saves a whole class within the same millisecond
+        absence.id = Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
         // Ensure date is stored. If passed in absence object, use it, else default.
         if (!absence.date) absence.date = new Date().toISOString().split('T')[0];
+        if (!ABSENCE_STATUSES[absence.status]) absence.status = 'unjustified';
 
         // Multi-tenancy
         const ownerId = this.getCurrentOwnerId();
         if (ownerId) absence.ownerId = ownerId;
 
+        this.attachDocument(absence);
         data.absences.push(absence);
         this.save(data);
     },
@@ -147,17 +336,368 @@ const Storage = {
             .reduce((total, record) => total + (parseFloat(record.hours) || 0), 0);
     },
 
+    getAbsences() { return this.filterByOwner(this.get().absences); },
+
+    // Hours per justification status and lateness counts, optionally limited to one term
+    // of the current school year. Retards are kept apart from absence hours; latePenalty is
+    // the number of absence hours they convert to (e.g. 3 retards = 1 heure).
+    // `context` lets callers looping over a whole school pass absences/settings once.
+    getStudentAbsenceSummary(studentId, term = null, context = {}) {
+        const schoolYear = this.getSchoolYear();
+        const summary = { total: 0, justified: 0, unjustified: 0, pending: 0, lateCount: 0, lateMinutes: 0, latePenalty: 0 };
+
+        (context.absences || this.getAbsences())
+            .filter(a => a.studentId === studentId)
+            .filter(a => !term || (this.getSchoolYear(a.date) === schoolYear && this.getTermForDate(a.date) === term))
+            .forEach(a => {
+                if (a.type === 'late') {
+                    summary.lateCount++;
+                    summary.lateMinutes += parseFloat(a.minutes) || 0;
+                    return;
+                }
+                const hours = parseFloat(a.hours) || 0;
+                summary.total += hours;
+                summary[ABSENCE_STATUSES[a.status] ? a.status : 'unjustified'] += hours;
+            });
+
+        const latesPerHour = parseFloat((context.settings || this.getSchoolSettings()).latesPerAbsenceHour) || 0;
+        if (latesPerHour > 0) summary.latePenalty = Math.floor(summary.lateCount / latesPerHour);
+        return summary;
+    },
+
+    // Unjustified hours used for alerts: pending records and converted retards included
+    getUnjustifiedHours(summary) {
+        return summary.unjustified + summary.pending + summary.latePenalty;
+    },
+
+    // Students whose unjustified hours crossed the school thresholds (current term / year)
+    getAbsenceAlerts(date = new Date()) {
+        const settings = this.getSchoolSettings();
+        const context = { absences: this.getAbsences(), settings };
+        const term = this.getTermForDate(date);
+        const notifications = this.getNotifications();
+
+        const alerts = [];
+        this.getStudents().forEach(student => {
+            const termHours = this.getUnjustifiedHours(this.getStudentAbsenceSummary(student.id, term, context));
+            const yearHours = ['Trimestre 1', 'Trimestre 2', 'Trimestre 3']
+                .reduce((total, t) => total + this.getUnjustifiedHours(this.getStudentAbsenceSummary(student.id, t, context)), 0);
+
+            const reasons = [];
+            if (settings.alertTermHours > 0 && termHours >= settings.alertTermHours) {
+                reasons.push(`${termHours}h non justifiées (${term}, seuil ${settings.alertTermHours}h)`);
+            }
+            if (settings.alertYearHours > 0 && yearHours >= settings.alertYearHours) {
+                reasons.push(`${yearHours}h non justifiées sur l'année (seuil ${settings.alertYearHours}h)`);
+            }
+            if (reasons.length === 0) return;
+
+            const lastNotification = notifications
+                .filter(n => n.studentId === student.id && n.term === term)
+                .sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt))[0];
+
+            alerts.push({ student, term, termHours, yearHours, reasons, lastNotification });
+        });
+        return alerts.sort((a, b) => b.termHours - a.termHours);
+    },
+
+    // Parent notifications history (what was sent, through which adapter)
+    addNotification(notification) {
+        const data = this.get();
+        notification.id = Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
+        notification.sentAt = new Date().toISOString();
+
+        const ownerId = this.getCurrentOwnerId();
+        if (ownerId) notification.ownerId = ownerId;
+
+        data.notifications.push(notification);
+        this.save(data);
+        return notification;
+    },
+    getNotifications() { return this.filterByOwner(this.get().notifications); },
+
+    // School Settings (one record per ownerId, merged over defaults)
+    getSchoolSettings() {
+        const ownerId = this.getCurrentOwnerId();
+        const settings = this.get().schoolSettings.find(s => s.ownerId === ownerId) || {};
+        return {
+            latesPerAbsenceHour: 3,
+            alertTermHours: 10, // unjustified hours per term before parents are notified (0 = off)
+            alertYearHours: 0, // same over the whole school year
+            termWeights: { 'Trimestre 1': 1, 'Trimestre 2': 1, 'Trimestre 3': 1 },
+            passAverage: 10, // annual average to move up a class
+            repeatAverage: 8, // in between: redoublement, below: exclusion
+            felicitationsAverage: 16,
+            honourAverage: 14, // tableau d'honneur
+            encouragementsAverage: 12,
+            workWarningAverage: 8, // avertissement travail below this term average
+            conductWarningHours: 10, // avertissement conduite from this many unjustified hours (0 = off)
+            teacherWeeklyQuota: 18, // contractual weekly service hours (teacher.weeklyQuota overrides it)
+            ...settings
+        };
+    },
+    saveSchoolSettings(updates) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+        const current = data.schoolSettings.find(s => s.ownerId === ownerId) || { ownerId };
+        data.schoolSettings = data.schoolSettings.filter(s => s.ownerId !== ownerId);
+        data.schoolSettings.push({ ...current, ...updates, ownerId });
+        this.save(data);
+    },
+
+    // Supervisors justify an absence after the fact (status, note, attached document), traced like updateAbsence
+    justifyAbsence(id, updates) {
+        const data = this.get();
+        const absence = data.absences.find(a => a.id === id);
+        if (!absence) return;
+
+        // Legacy absences without status count as unjustified
+        const changes = this.getFieldChanges({ ...absence, status: absence.status || 'unjustified' }, { status: updates.status, justificationNote: updates.justificationNote });
+        const previousDocument = absence.document;
+        Object.assign(absence, updates);
+        this.attachDocument(absence);
+        // A new file that did not fit leaves the previous one in place
+        if (!absence.document && previousDocument) absence.document = previousDocument;
+        if (absence.document !== previousDocument) changes.document = { from: previousDocument ? previousDocument.name : '', to: absence.document.name };
+        if (Object.keys(changes).length === 0) return;
+
+        absence.justifiedAt = new Date().toISOString();
+        this.addAuditEntry(data, { entity: 'absence', entityId: id, studentId: absence.studentId, action: 'update', changes });
+        this.save(data);
+    },
+
+    // Corrections of an existing record; the audit entry keeps the previous values
+    // { field: { from, to } } for the fields `updates` would change on `record`
+    getFieldChanges(record, updates) {
+        const changes = {};
+        Object.keys(updates).forEach(field => {
+            const before = record[field] === undefined ? '' : record[field];
+            const after = updates[field] === undefined ? '' : updates[field];
+            if (String(before) !== String(after)) changes[field] = { from: before, to: after };
+        });
+        return changes;
+    },
+
+    updateAbsence(id, updates) {
+        const data = this.get();
+        const absence = data.absences.find(a => a.id === id);
+        if (!absence) return;
+
+        const changes = this.getFieldChanges(absence, updates);
+        if (Object.keys(changes).length === 0) return;
+
+        Object.assign(absence, updates);
+        absence.updatedAt = new Date().toISOString();
+        this.addAuditEntry(data, { entity: 'absence', entityId: id, studentId: absence.studentId, action: 'update', changes });
+        this.save(data);
+    },
+
+    deleteAbsence(id) {
+        const data = this.get();
+        const absence = data.absences.find(a => a.id === id);
+        if (!absence) return;
+
+        // Snapshot without the attached file to keep the log small
+        const { document, ...snapshot } = absence;
+        data.absences = data.absences.filter(a => a.id !== id);
+        this.addAuditEntry(data, { entity: 'absence', entityId: id, studentId: absence.studentId, action: 'delete', snapshot });
+        if (this.save(data)) this.removeDocument(id);
+    },
+
+    // Audit trail: who changed what and when. Pushes into `data`, the caller saves.
+    addAuditEntry(data, entry) {
+        const role = sessionStorage.getItem('edutrack_role');
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        entry.id = Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
+        entry.at = new Date().toISOString();
+        entry.userId = user.id || null;
+        entry.userName = user.lastName ? `${user.lastName} ${user.firstName || ''}`.trim() : (user.username || role);
+        entry.role = role;
+
+        const ownerId = this.getCurrentOwnerId();
+        if (ownerId) entry.ownerId = ownerId;
+
+        data.auditLog.push(entry);
+    },
+
+    // Most recent first, optionally limited to one entity type / record
+    getAuditLog(entity = null, entityId = null) {
+        return this.filterByOwner(this.get().auditLog)
+            .filter(e => (!entity || e.entity === entity) && (!entityId || e.entityId === entityId))
+            .sort((a, b) => new Date(b.at) - new Date(a.at));
+    },
+
+    // Terms follow the school year: T1 September-December, T2 January-March, T3 April-June
+    getTermForDate(date) {
+        const month = new Date(date).getMonth();
+        if (month >= 7) return 'Trimestre 1';
+        if (month <= 2) return 'Trimestre 2';
+        return 'Trimestre 3';
+    },
+
     // Fees
     addFee(fee) {
         const data = this.get();
-        fee.id = Date.now().toString();
+        // Random suffix: two payments saved within the same millisecond must not share an id
+        fee.id = Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
         fee.date = new Date().toISOString();
+        fee.schoolYear = this.getSchoolYear(fee.date);
 
         const ownerId = this.getCurrentOwnerId();
         if (ownerId) fee.ownerId = ownerId;
 
+        // Read, increment and save happen in this one synchronous call, so numbers never collide
+        fee.receiptNumber = this.nextReceiptNumber(data, ownerId);
+
         data.fees.push(fee);
         this.save(data);
+        return fee;
+    },
+    getFees() { return this.filterByOwner(this.get().fees); },
+
+    // Gap-free receipt sequence per school (ownerId). Mutates `data`, caller saves.
+    nextReceiptNumber(data, ownerId) {
+        const key = ownerId || 'default';
+        data.receiptCounters[key] = (data.receiptCounters[key] || 0) + 1;
+        return data.receiptCounters[key];
+    },
+
+    // Number payments recorded before receipts existed, oldest first. Payments without a school
+    // wait for claimLegacyData: a shared counter would overlap the claiming school's numbers.
+    numberLegacyReceipts() {
+        const data = this.get();
+        const legacy = data.fees
+            .filter(f => !f.receiptNumber && f.ownerId)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (legacy.length === 0) return;
+
+        legacy.forEach(f => f.receiptNumber = this.nextReceiptNumber(data, f.ownerId));
+        this.save(data);
+    },
+    formatReceiptNumber(number) {
+        return number ? `N° ${String(number).padStart(6, '0')}` : '-';
+    },
+
+    // School year label ("2024-2025"). August already belongs to the next year
+    // since parents usually pay September in advance.
+    getSchoolYear(date = new Date()) {
+        const d = new Date(date);
+        const start = d.getMonth() >= 7 ? d.getFullYear() : d.getFullYear() - 1;
+        return `${start}-${start + 1}`;
+    },
+    // Legacy fees have no schoolYear: derive it from the payment date
+    getFeeSchoolYear(fee) {
+        return fee.schoolYear || this.getSchoolYear(fee.date);
+    },
+
+    // Fee Schedules (one per school / ownerId)
+    // { ownerId, levels: { '6ème': 15000, ... }, extraFees: [{ id, label, amount }], siblingDiscount, scholarships: [{ studentId, percent }] }
+    getFeeSchedule() {
+        const ownerId = this.getCurrentOwnerId();
+        const schedule = this.get().feeSchedules.find(s => s.ownerId === ownerId) || {};
+
+        // Schools that never configured a schedule keep the historical 15000 FD rule
+        const levels = {};
+        LEVELS.forEach(l => levels[l] = 15000);
+
+        return {
+            levels: { ...levels, ...(schedule.levels || {}) },
+            extraFees: schedule.extraFees || [],
+            siblingDiscount: parseFloat(schedule.siblingDiscount) || 0,
+            scholarships: schedule.scholarships || []
+        };
+    },
+    saveFeeSchedule(schedule) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+        data.feeSchedules = data.feeSchedules.filter(s => s.ownerId !== ownerId);
+        data.feeSchedules.push({ ...schedule, ownerId });
+        this.save(data);
+    },
+
+    // Monthly tuition owed by a student after sibling discount and scholarship
+    getMonthlyFeeDue(student, schedule = this.getFeeSchedule(), students = this.getStudents()) {
+        let amount = parseFloat(schedule.levels[student.level]) || 0;
+
+        // Siblings share the parent phone: the first enrolled child pays full price
+        if (schedule.siblingDiscount > 0 && student.parentPhone) {
+            const siblings = students
+                .filter(s => s.parentPhone === student.parentPhone)
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+            if (siblings.length > 1 && siblings[0].id !== student.id) {
+                amount *= 1 - schedule.siblingDiscount / 100;
+            }
+        }
+
+        const scholarship = schedule.scholarships.find(x => x.studentId === student.id);
+        if (scholarship) amount *= 1 - (parseFloat(scholarship.percent) || 0) / 100;
+
+        return Math.round(amount);
+    },
+
+    // Due / paid / remaining per billed month and per extra fee for a school year.
+    // `context` lets callers looping over a whole school pass schedule/fees/students once.
+    getStudentFeeStatus(student, schoolYear = this.getSchoolYear(), context = {}) {
+        const schedule = context.schedule || this.getFeeSchedule();
+        const fees = (context.fees || this.getFees()).filter(f => f.studentId === student.id && this.getFeeSchoolYear(f) === schoolYear);
+        const paidFor = (match) => fees.filter(match).reduce((total, f) => total + (parseFloat(f.amount) || 0), 0);
+
+        const monthlyDue = this.getMonthlyFeeDue(student, schedule, context.students);
+        const months = SCHOOL_MONTHS.map(month => {
+            const paid = paidFor(f => (!f.feeType || f.feeType === 'monthly') && f.month === month);
+            return { month, due: monthlyDue, paid, remaining: Math.max(0, monthlyDue - paid) };
+        });
+        const extras = schedule.extraFees.map(x => {
+            const due = parseFloat(x.amount) || 0;
+            const paid = paidFor(f => f.feeType === x.id);
+            return { id: x.id, label: x.label, due, paid, remaining: Math.max(0, due - paid) };
+        });
+
+        const lines = [...months, ...extras];
+        return {
+            monthlyDue,
+            months,
+            extras,
+            totalDue: lines.reduce((t, l) => t + l.due, 0),
+            totalPaid: fees.reduce((t, f) => t + (parseFloat(f.amount) || 0), 0),
+            remaining: lines.reduce((t, l) => t + l.remaining, 0)
+        };
+    },
+
+    // Billed months already started at `date`. Nothing is due yet in August: a new year begins.
+    getDueMonths(date = new Date()) {
+        const month = new Date(date).getMonth();
+        if (month === 7) return [];
+        const index = (month + 4) % 12; // Septembre -> 0 ... Juin -> 9, Juillet -> 10
+        return SCHOOL_MONTHS.slice(0, Math.min(index + 1, SCHOOL_MONTHS.length));
+    },
+
+    // Students with unpaid (or partially paid) months up to `date`
+    getOutstandingFees(date = new Date()) {
+        const dueMonths = this.getDueMonths(date);
+        const schoolYear = this.getSchoolYear(date);
+        const students = this.getStudents();
+        const context = { schedule: this.getFeeSchedule(), fees: this.getFees(), students };
+
+        return students.map(student => {
+            const status = this.getStudentFeeStatus(student, schoolYear, context);
+            const months = status.months.filter(m => dueMonths.includes(m.month) && m.remaining > 0);
+            return { student, months, amount: months.reduce((total, m) => total + m.remaining, 0) };
+        }).filter(entry => entry.months.length > 0);
+    },
+
+    // Merges `updates` into a record of a collection (an undefined value removes the field)
+    updateRecord(collection, id, updates) {
+        const data = this.get();
+        const record = data[collection].find(r => r.id === id);
+        if (!record) return;
+
+        Object.keys(updates).forEach(field => {
+            if (updates[field] === undefined) delete record[field];
+            else record[field] = updates[field];
+        });
+        record.updatedAt = new Date().toISOString();
+        this.save(data);
     },
 
     // Subjects
@@ -171,10 +711,110 @@ const Storage = {
         data.subjects.push(subject);
         this.save(data);
     },
-    getSubjects() { return this.filterByOwner(this.get().subjects); },
+    getSubjects(includeArchived = false) {
+        const subjects = this.filterByOwner(this.get().subjects);
+        return includeArchived ? subjects : subjects.filter(s => !s.archived);
+    },
+    updateSubject(id, updates) { this.updateRecord('subjects', id, updates); },
+
+    // Coefficient of a subject for a level: per-level override, else the subject default (1)
+    getSubjectCoefficient(subject, level) {
+        const byLevel = parseFloat((subject.coefficients || {})[level]);
+        if (!isNaN(byLevel)) return byLevel;
+        const base = parseFloat(subject.coefficient);
+        return isNaN(base) ? 1 : base;
+    },
+
+    // { subjectId: { coefficient, coefficients: { level: n } } }
+    saveSubjectCoefficients(updates) {
+        const data = this.get();
+        data.subjects.forEach(subj => {
+            if (updates[subj.id]) Object.assign(subj, updates[subj.id]);
+        });
+        this.save(data);
+    },
+
+    // Weighted general average: sum(moyenne × coeff) / sum(coeff) over the graded subjects.
+    // `averages` maps subjectId -> subject average; returns NaN when nothing is graded.
+    getGeneralAverage(averages, subjects, level) {
+        let points = 0;
+        let coeffs = 0;
+        subjects.forEach(subj => {
+            const val = parseFloat(averages[subj.id]);
+            if (isNaN(val)) return;
+            const coeff = this.getSubjectCoefficient(subj, level);
+            points += val * coeff;
+            coeffs += coeff;
+        });
+        return coeffs > 0 ? points / coeffs : NaN;
+    },
+    // Weekly hours of a subject for a level (0 = not taught at that level)
+    getSubjectWeeklyHours(subject, level) {
+        return parseFloat((subject.weeklyHours || {})[level]) || 0;
+    },
+
+    // { subjectId: { level: hours } }
+    saveSubjectWeeklyHours(updates) {
+        const data = this.get();
+        data.subjects.forEach(subj => {
+            if (updates[subj.id]) subj.weeklyHours = updates[subj.id];
+        });
+        this.save(data);
+    },
+
+    // Weekly service of every teacher (subject hours of their assigned classes) against their
+    // quota, and the classes where a taught subject has no teacher assigned
+    getTeacherWorkload() {
+        const settings = this.getSchoolSettings();
+        const subjects = this.getSubjects();
+        const timetable = this.getTimetable();
+
+        const teachers = this.getTeachers().map(teacher => {
+            const classes = this.getTeacherAssignments(teacher).map(a => {
+                const subject = subjects.find(s => s.id === a.subjectId);
+                return {
+                    level: a.level,
+                    classroom: a.division || '',
+                    subject,
+                    hours: subject ? this.getSubjectWeeklyHours(subject, a.level) : 0
+                };
+            });
+            const hours = classes.reduce((total, c) => total + c.hours, 0);
+            const ownQuota = parseFloat(teacher.weeklyQuota);
+            const quota = isNaN(ownQuota) ? parseFloat(settings.teacherWeeklyQuota) || 0 : ownQuota;
+            return {
+                teacher,
+                subjects: subjects.filter(s => this.getTeacherSubjectIds(teacher).includes(s.id)),
+                classes,
+                hours,
+                quota,
+                scheduledHours: timetable.filter(e => e.teacherId === teacher.id).length,
+                status: hours > quota ? 'over' : hours < quota ? 'under' : 'ok'
+            };
+        });
+
+        const classKeys = new Set();
+        this.getStudents().forEach(s => {
+            if (s.level) classKeys.add(`${s.level}|${s.classroom || ''}`);
+        });
+        const uncovered = [];
+        [...classKeys].sort().forEach(key => {
+            const [level, classroom] = key.split('|');
+            subjects.forEach(subject => {
+                const hours = this.getSubjectWeeklyHours(subject, level);
+                if (hours === 0) return;
+                const covered = teachers.some(t => this.teacherTeaches(t.teacher, subject.id, level, classroom));
+                if (!covered) uncovered.push({ level, classroom, subject, hours });
+            });
+        });
+
+        return { teachers, uncovered };
+    },
+
     deleteSubject(id) {
         const data = this.get();
         data.subjects = data.subjects.filter(s => s.id !== id);
+        this.removeReferences(data, 'subject', [id]);
         this.save(data);
     },
 
@@ -189,13 +829,187 @@ const Storage = {
         data.teachers.push(teacher);
         this.save(data);
     },
-    getTeachers() { return this.filterByOwner(this.get().teachers); },
+    getTeachers(includeArchived = false) {
+        const teachers = this.filterByOwner(this.get().teachers);
+        return includeArchived ? teachers : teachers.filter(t => !t.archived);
+    },
+    // Saved assignments replace the legacy subjectId / assignedClasses
+    updateTeacher(id, updates) {
+        if (updates.assignments) updates = { ...updates, subjectId: undefined, assignedClasses: undefined };
+        this.updateRecord('teachers', id, updates);
+    },
+
+    // Teaching assignments as (subject, level, division) triples: [{ subjectId, level, division }].
+    // Teachers created before assignments existed taught one subjectId in all their assignedClasses.
+    getTeacherAssignments(teacher) {
+        if (teacher.assignments) return teacher.assignments;
+        return (teacher.assignedClasses || []).map(c => ({ subjectId: teacher.subjectId || '', level: c.level, division: c.division || '' }));
+    },
+    // Distinct classes of a teacher: [{ level, division }]
+    getTeacherClasses(teacher) {
+        const classes = [];
+        this.getTeacherAssignments(teacher).forEach(a => {
+            if (!classes.some(c => c.level === a.level && c.division === a.division)) classes.push({ level: a.level, division: a.division });
+        });
+        return classes;
+    },
+    getTeacherSubjectIds(teacher) {
+        return [...new Set(this.getTeacherAssignments(teacher).map(a => a.subjectId).filter(Boolean))];
+    },
+    teacherTeaches(teacher, subjectId, level, classroom) {
+        return this.getTeacherAssignments(teacher).some(a =>
+            a.subjectId === subjectId && a.level === level && String(a.division || '') === String(classroom || '')
+        );
+    },
+    // The logged-in teacher as currently stored: assignments changed since login apply right away
+    getCurrentTeacher() {
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        return this.get().teachers.find(t => t.id === user.id) || user;
+    },
+
+    // { teacherId: hours }; an empty value falls back to the school quota
+    saveTeacherQuotas(quotas) {
+        const data = this.get();
+        data.teachers.forEach(t => {
+            if (!(t.id in quotas)) return;
+            if (quotas[t.id] === '') delete t.weeklyQuota;
+            else t.weeklyQuota = parseFloat(quotas[t.id]) || 0;
+        });
+        this.save(data);
+    },
     deleteTeacher(id) {
         const data = this.get();
         data.teachers = data.teachers.filter(t => t.id !== id);
+        this.removeReferences(data, 'teacher', [id]);
         this.save(data);
     },
 
+    // --- Dependent records, archives and orphans ---
+
+    // Count of records pointing to a student / subject / teacher, by DEPENDENT_LABELS key (zero counts left out)
+    getDependents(entity, id, data = this.get()) {
+        const own = (collection) => this.filterByOwner(data[collection] || []);
+        const counts = {};
+        const count = (key, n) => { if (n > 0) counts[key] = (counts[key] || 0) + n; };
+
+        if (entity === 'student') {
+            ['grades', 'absences', 'fees', 'notifications', 'yearDecisions', 'councilDecisions']
+                .forEach(c => count(c, own(c).filter(r => r.studentId === id).length));
+            own('feeSchedules').forEach(s => count('scholarships', (s.scholarships || []).filter(b => b.studentId === id).length));
+        } else if (entity === 'subject') {
+            ['grades', 'evaluationPlans', 'gradeStatuses', 'timetable']
+                .forEach(c => count(c, own(c).filter(r => r.subjectId === id).length));
+            own('teachers').forEach(t => count('assignments', this.getTeacherAssignments(t).filter(a => a.subjectId === id).length));
+        } else if (entity === 'teacher') {
+            count('timetable', own('timetable').filter(e => e.teacherId === id).length);
+        }
+        return counts;
+    },
+
+    // Removes from `data` (not saved) what points to the given ids of the current school.
+    // `categories` restricts the cleanup to some DEPENDENT_LABELS keys (integrity repair).
+    // Teachers lose the subject from their assignments; a removed teacher only leaves their slots unassigned.
+    // Removed absences are traced like deleteAbsence; returns their ids (justification files to drop once saved).
+    removeReferences(data, entity, ids, categories = null) {
+        const ownerId = this.getCurrentOwnerId();
+        const mine = (item) => !ownerId || item.ownerId === ownerId;
+        const wanted = (key) => !categories || categories.includes(key);
+        const drop = (collection, field) => {
+            if (!wanted(collection)) return;
+            data[collection] = data[collection].filter(r => !(mine(r) && ids.includes(r[field])));
+        };
+
+        const removedAbsences = [];
+        if (entity === 'student') {
+            if (wanted('absences')) {
+                data.absences.filter(a => mine(a) && ids.includes(a.studentId)).forEach(absence => {
+                    const { document, ...snapshot } = absence;
+                    this.addAuditEntry(data, { entity: 'absence', entityId: absence.id, studentId: absence.studentId, action: 'delete', snapshot });
+                    removedAbsences.push(absence.id);
+                });
+            }
+            ['grades', 'absences', 'fees', 'notifications', 'yearDecisions', 'councilDecisions'].forEach(c => drop(c, 'studentId'));
+            if (wanted('scholarships')) {
+                data.feeSchedules.filter(mine).forEach(s => {
+                    if (s.scholarships) s.scholarships = s.scholarships.filter(b => !ids.includes(b.studentId));
+                });
+            }
+        } else if (entity === 'subject') {
+            ['grades', 'evaluationPlans', 'gradeStatuses', 'timetable'].forEach(c => drop(c, 'subjectId'));
+            if (wanted('assignments')) {
+                data.teachers.filter(mine).forEach(t => {
+                    const assignments = this.getTeacherAssignments(t);
+                    if (!assignments.some(a => ids.includes(a.subjectId))) return;
+                    t.assignments = assignments.filter(a => !ids.includes(a.subjectId));
+                    delete t.subjectId;
+                    delete t.assignedClasses;
+                });
+            }
+        } else if (entity === 'teacher' && wanted('timetable')) {
+            data.timetable.filter(e => mine(e) && ids.includes(e.teacherId)).forEach(e => { e.teacherId = ''; });
+        }
+        return removedAbsences;
+    },
+
+    // Archived records leave the lists but keep their history (grades, absences, fees)
+    archiveRecord(entity, id) {
+        this.updateRecord(ARCHIVABLE_ENTITIES[entity].collection, id, { archived: true, archivedAt: new Date().toISOString() });
+    },
+    restoreRecord(entity, id) {
+        this.updateRecord(ARCHIVABLE_ENTITIES[entity].collection, id, { archived: undefined, archivedAt: undefined });
+    },
+    getArchived() {
+        return {
+            student: this.getStudents(true).filter(s => s.archived),
+            subject: this.getSubjects(true).filter(s => s.archived),
+            teacher: this.getTeachers(true).filter(t => t.archived)
+        };
+    },
+
+    // Ids referenced by the school's records but matching no student / subject / teacher (archived ones included),
+    // with the dependent counts per entity: { student: { ids, counts }, subject: {...}, teacher: {...} }
+    findOrphans(data = this.get()) {
+        const own = (collection) => this.filterByOwner(data[collection] || []);
+        const known = {
+            student: own('students').map(s => s.id),
+            subject: own('subjects').map(s => s.id),
+            teacher: own('teachers').map(t => t.id)
+        };
+        const unknown = { student: new Set(), subject: new Set(), teacher: new Set() };
+        const check = (entity, id) => { if (id && !known[entity].includes(id)) unknown[entity].add(id); };
+
+        ['grades', 'absences', 'fees', 'notifications', 'yearDecisions', 'councilDecisions']
+            .forEach(c => own(c).forEach(r => check('student', r.studentId)));
+        own('feeSchedules').forEach(s => (s.scholarships || []).forEach(b => check('student', b.studentId)));
+        ['grades', 'evaluationPlans', 'gradeStatuses', 'timetable'].forEach(c => own(c).forEach(r => check('subject', r.subjectId)));
+        own('teachers').forEach(t => this.getTeacherAssignments(t).forEach(a => check('subject', a.subjectId)));
+        own('timetable').forEach(e => check('teacher', e.teacherId));
+
+        const orphans = {};
+        Object.keys(unknown).forEach(entity => {
+            const ids = [...unknown[entity]];
+            const counts = {};
+            ids.forEach(id => Object.entries(this.getDependents(entity, id, data)).forEach(([key, n]) => {
+                counts[key] = (counts[key] || 0) + n;
+            }));
+            orphans[entity] = { ids, counts };
+        });
+        return orphans;
+    },
+
+    // selection: { student: ['grades', ...], subject: [...], teacher: [...] }
+    repairOrphans(selection) {
+        const data = this.get();
+        const orphans = this.findOrphans(data);
+        const removedAbsences = [];
+        Object.keys(selection).forEach(entity => {
+            if (orphans[entity].ids.length > 0 && selection[entity].length > 0) {
+                removedAbsences.push(...this.removeReferences(data, entity, orphans[entity].ids, selection[entity]));
+            }
+        });
+        if (this.save(data)) removedAbsences.forEach(absenceId => this.removeDocument(absenceId));
+    },
+
     // Principals
     addPrincipal(principal) {
         const data = this.get();
@@ -204,6 +1018,7 @@ const Storage = {
         this.save(data);
     },
     getPrincipals() { return this.get().principals; },
+    updatePrincipal(id, updates) { this.updateRecord('principals', id, updates); },
     deletePrincipal(id) {
         const data = this.get();
         data.principals = data.principals.filter(p => p.id !== id);
@@ -222,6 +1037,7 @@ const Storage = {
         this.save(data);
     },
     getSupervisors() { return this.filterByOwner(this.get().supervisors); },
+    updateSupervisor(id, updates) { this.updateRecord('supervisors', id, updates); },
     deleteSupervisor(id) {
         const data = this.get();
         data.supervisors = data.supervisors.filter(s => s.id !== id);
@@ -233,7 +1049,13 @@ const Storage = {
         const data = this.get();
         // data.grades is flat list: { id, studentId, subjectId, term, values: [], average, appreciation }
 
+        const plans = {}; // evaluation plan per class, for the labels of the history
+
         gradesInput.forEach(input => {
+            const previous = data.grades.find(g =>
+                g.studentId === input.studentId && g.subjectId === input.subjectId && g.term === input.term
+            );
+
             // Remove existing grade for this student+subject+term
             data.grades = data.grades.filter(g =>
                 !(g.studentId === input.studentId && g.subjectId === input.subjectId && g.term === input.term)
@@ -241,6 +1063,22 @@ const Storage = {
 
             // Add new if at least one value exists or average is present or appreciation is present
             const hasValues = (input.values && input.values.some(v => v !== "")) || input.appreciation;
+
+            // History: old and new value of every evaluation that changed
+            const student = data.students.find(s => s.id === input.studentId) || {};
+            const planKey = `${student.level}|${student.classroom || ''}`;
+            if (!plans[planKey]) plans[planKey] = this.getEvaluationPlan(input.subjectId, input.term, student.level, student.classroom);
+            const changes = this.getGradeChanges(previous, hasValues ? input : null, plans[planKey]);
+            if (Object.keys(changes).length > 0) {
+                this.addAuditEntry(data, {
+                    entity: 'grade',
+                    entityId: `${input.studentId}|${input.subjectId}|${input.term}`,
+                    studentId: input.studentId,
+                    action: !previous ? 'create' : (hasValues ? 'update' : 'delete'),
+                    changes
+                });
+            }
+
             if (hasValues) {
                 data.grades.push({
                     id: Date.now().toString() + Math.random(),
@@ -250,39 +1088,352 @@ const Storage = {
                     values: input.values,
                     average: input.average,
                     appreciation: input.appreciation,
+                    competence: input.competence,
                     ownerId: input.ownerId || this.getCurrentOwnerId() // Add OwnerId to grades
                 });
             }
         });
         this.save(data);
     },
+
+    // { label: { from, to } } between two grade records (null = no record)
+    getGradeChanges(before, after, evaluations) {
+        const changes = {};
+        const compare = (label, from, to) => {
+            from = from === undefined || from === null ? '' : String(from);
+            to = to === undefined || to === null ? '' : String(to);
+            if (from !== to) changes[label] = { from, to };
+        };
+        const oldValues = (before && before.values) || [];
+        const newValues = (after && after.values) || [];
+        const count = Math.max(oldValues.length, newValues.length);
+        for (let i = 0; i < count; i++) {
+            compare(evaluations[i] ? evaluations[i].name : `Note ${i + 1}`, oldValues[i], newValues[i]);
+        }
+        compare('Moyenne', before && before.average, after && after.average);
+        compare('Appréciation', before && before.appreciation, after && after.appreciation);
+        compare('Compétences', before && before.competence, after && after.competence);
+        return changes;
+    },
+
     getGrades(subjectId, term) {
         return this.filterByOwner(this.get().grades).filter(g => g.subjectId === subjectId && g.term === term);
     },
 
-    migrateData(silent = false) {
-        const data = this.get();
-        let changed = false;
+    // Weighted general average of one term. `context` = { grades, subjects } when looping over a class.
+    getStudentTermAverage(student, term, context = {}) {
+        const averages = {};
+        (context.grades || this.filterByOwner(this.get().grades))
+            .filter(g => g.studentId === student.id && g.term === term)
+            .forEach(g => averages[g.subjectId] = g.average);
+        return this.getGeneralAverage(averages, context.subjects || this.getSubjects(), student.level);
+    },
 
-        const migrateLevel = (l) => {
-            if (!l) return l;
-            const s = l.toString().toLowerCase().trim();
-            if (s.includes('7')) return '5ème';
-            if (s.includes('8')) return '4ème';
-            if (s.includes('9')) return '3ème';
-            return l;
-        };
+    // Combines { term: average } with the configured term weights; terms without marks are skipped
+    combineTermAverages(termAverages, settings = this.getSchoolSettings()) {
+        let sum = 0;
+        let weights = 0;
+        TERMS.forEach(term => {
+            const val = parseFloat(termAverages[term]);
+            const weight = parseFloat(settings.termWeights[term]);
+            if (isNaN(val) || isNaN(weight)) return;
+            sum += val * weight;
+            weights += weight;
+        });
+        return weights > 0 ? sum / weights : NaN;
+    },
 
-        // Migrate Students
-        if (data.students) {
-            data.students.forEach(s => {
-                // Special handling for preserving division if it was merged in level (e.g. "7ème 1")
-                if (s.level && (s.level.includes('7') || s.level.includes('8') || s.level.includes('9'))) {
-                    // Try to extract suffix if classroom is empty
-                    if (!s.classroom || s.classroom.trim() === '') {
-                        const match = s.level.match(/\d+(?:eme|ème)?\s*([a-zA-Z0-9]+)/i);
-                        if (match && match[1]) {
-                            // Check if the suffix is just "eme" or "ème" which is not a division
+    // { terms: { term: average }, annual } for the current grades
+    getStudentAnnualAverage(student, context = {}) {
+        const settings = context.settings || this.getSchoolSettings();
+        const terms = {};
+        TERMS.forEach(term => terms[term] = this.getStudentTermAverage(student, term, context));
+        return { terms, annual: this.combineTermAverages(terms, settings) };
+    },
+
+    proposeYearDecision(annualAverage, settings = this.getSchoolSettings()) {
+        if (isNaN(annualAverage)) return null;
+        if (annualAverage >= parseFloat(settings.passAverage)) return 'admis';
+        if (annualAverage >= parseFloat(settings.repeatAverage)) return 'redouble';
+        return 'exclu';
+    },
+
+    // Decision confirmed (or overridden) by the principal for the current school year
+    getYearDecision(studentId) {
+        const schoolYear = this.getSchoolYear();
+        return this.filterByOwner(this.get().yearDecisions).find(d => d.studentId === studentId && d.schoolYear === schoolYear) || null;
+    },
+
+    saveYearDecision(studentId, decision, proposed) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+        const schoolYear = this.getSchoolYear();
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+
+        data.yearDecisions = data.yearDecisions.filter(d => !(d.ownerId === ownerId && d.studentId === studentId && d.schoolYear === schoolYear));
+        data.yearDecisions.push({
+            studentId,
+            schoolYear,
+            decision,
+            proposed,
+            decidedBy: user.id || null,
+            decidedAt: new Date().toISOString(),
+            ownerId
+        });
+        this.save(data);
+    },
+
+    // Conseil de classe: suggested distinction from the term average and unjustified absences.
+    // A conduct warning takes precedence over any distinction.
+    suggestCouncilMention(generalAverage, absenceSummary, settings = this.getSchoolSettings()) {
+        const conductHours = parseFloat(settings.conductWarningHours) || 0;
+        if (conductHours > 0 && this.getUnjustifiedHours(absenceSummary) >= conductHours) return 'avertissement_conduite';
+        if (isNaN(generalAverage)) return '';
+        if (generalAverage < parseFloat(settings.workWarningAverage)) return 'avertissement_travail';
+        if (generalAverage >= parseFloat(settings.felicitationsAverage)) return 'felicitations';
+        if (generalAverage >= parseFloat(settings.honourAverage)) return 'tableau';
+        if (generalAverage >= parseFloat(settings.encouragementsAverage)) return 'encouragements';
+        return '';
+    },
+
+    // Council appreciation and distinction recorded per student for a term of the current school year
+    getCouncilDecisions(term) {
+        const schoolYear = this.getSchoolYear();
+        return this.filterByOwner(this.get().councilDecisions).filter(d => d.term === term && d.schoolYear === schoolYear);
+    },
+
+    // entries = [{ studentId, appreciation, mention }]
+    saveCouncilDecisions(term, entries) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+        const schoolYear = this.getSchoolYear();
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+
+        entries.forEach(entry => {
+            data.councilDecisions = data.councilDecisions.filter(d => !(
+                d.ownerId === ownerId && d.studentId === entry.studentId && d.term === term && d.schoolYear === schoolYear
+            ));
+            if (!entry.appreciation && !entry.mention) return;
+            data.councilDecisions.push({
+                ...entry,
+                term,
+                schoolYear,
+                decidedBy: user.id || null,
+                decidedAt: new Date().toISOString(),
+                ownerId
+            });
+        });
+        this.save(data);
+    },
+
+    // Workflow state of a subject/class/term ('open' until the teacher submits)
+    getGradeStatus(subjectId, term, level, classroom) {
+        const record = this.getGradeStatuses(term).find(r =>
+            r.subjectId === subjectId && r.level === level && String(r.classroom || '') === String(classroom || '')
+        );
+        return record ? record.status : 'open';
+    },
+
+    getGradeStatuses(term) {
+        return this.filterByOwner(this.get().gradeStatuses).filter(r => r.term === term);
+    },
+
+    setGradeStatus(subjectId, term, level, classroom, status) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        let record = data.gradeStatuses.find(r =>
+            r.ownerId === ownerId && r.subjectId === subjectId && r.term === term &&
+            r.level === level && String(r.classroom || '') === String(classroom || '')
+        );
+        if (!record) {
+            record = { subjectId, term, level, classroom: classroom || '', history: [], ownerId };
+            data.gradeStatuses.push(record);
+        }
+
+        record.status = status;
+        record.history.push({ status, by: user.id || null, role: sessionStorage.getItem('edutrack_role'), at: new Date().toISOString() });
+        this.save(data);
+    },
+
+    // Teachers only edit open grades of a subject + class they are assigned to;
+    // the principal can correct them until they are locked
+    canEditGrades(status, subjectId, level, classroom) {
+        const role = sessionStorage.getItem('edutrack_role');
+        if (role === 'teacher') return status === 'open' && this.teacherTeaches(this.getCurrentTeacher(), subjectId, level, classroom);
+        return role === 'principal' && status !== 'locked';
+    },
+
+    // Timetable: one entry per class, day and period { level, classroom, day, periodId, subjectId, teacherId, room }
+    getTimetable() { return this.filterByOwner(this.get().timetable); },
+
+    // Replaces whatever the class had at that day + period
+    saveTimetableEntry(entry) {
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+
+        data.timetable = data.timetable.filter(e => !(
+            e.ownerId === ownerId && e.day === entry.day && e.periodId === entry.periodId &&
+            e.level === entry.level && String(e.classroom || '') === String(entry.classroom || '')
+        ));
+        data.timetable.push({ ...entry, id: Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9), ownerId });
+        this.save(data);
+    },
+    deleteTimetableEntry(id) {
+        const data = this.get();
+        data.timetable = data.timetable.filter(e => e.id !== id);
+        this.save(data);
+    },
+
+    // Why an entry clashes with the rest of the timetable: its teacher or room is booked by
+    // another class at the same time, or its teacher is not assigned to the class.
+    // `context` lets callers checking a whole timetable pass entries/teachers once.
+    getTimetableConflicts(entry, context = {}) {
+        const entries = context.entries || this.getTimetable();
+        const teachers = context.teachers || this.getTeachers();
+        const classLabel = (e) => `${e.level}${e.classroom || ''}`;
+        const conflicts = [];
+
+        const sameTime = entries.filter(e => e.id !== entry.id && e.day === entry.day && e.periodId === entry.periodId &&
+            !(e.level === entry.level && String(e.classroom || '') === String(entry.classroom || '')));
+
+        if (entry.teacherId) {
+            const teacher = teachers.find(t => t.id === entry.teacherId);
+            const name = teacher ? `${teacher.lastName} ${teacher.firstName}` : 'Professeur';
+            sameTime.filter(e => e.teacherId === entry.teacherId)
+                .forEach(e => conflicts.push(`${name} est déjà en ${classLabel(e)} à ce créneau`));
+            if (teacher && !this.teacherTeaches(teacher, entry.subjectId, entry.level, entry.classroom)) {
+                conflicts.push(`${name} n'est pas affecté(e) à cette matière en ${classLabel(entry)}`);
+            }
+        }
+
+        const room = (entry.room || '').trim().toLowerCase();
+        if (room) {
+            sameTime.filter(e => (e.room || '').trim().toLowerCase() === room)
+                .forEach(e => conflicts.push(`Salle ${entry.room} déjà occupée par la ${classLabel(e)}`));
+        }
+        return conflicts;
+    },
+
+    // Descriptive statistics of a list of marks on `scale` (pass = at least half the scale)
+    getScoreStats(values, scale = 20) {
+        const marks = values.map(v => parseFloat(v)).filter(v => !isNaN(v)).sort((a, b) => a - b);
+        if (marks.length === 0) return null;
+
+        const count = marks.length;
+        const mean = marks.reduce((a, b) => a + b, 0) / count;
+        const middle = Math.floor(count / 2);
+        return {
+            count,
+            mean,
+            min: marks[0],
+            max: marks[count - 1],
+            median: count % 2 ? marks[middle] : (marks[middle - 1] + marks[middle]) / 2,
+            stdDev: Math.sqrt(marks.reduce((total, v) => total + (v - mean) ** 2, 0) / count),
+            passRate: marks.filter(v => v >= scale / 2).length / count * 100
+        };
+    },
+
+    // Evaluations of a subject for one class and term: [{ id, name, type, date, weight, scale }].
+    // grade.values are positional and follow this order. Classes without a plan keep the
+    // historical five equal devoirs (D1-D5) on 20.
+    getEvaluationPlan(subjectId, term, level, classroom) {
+        const plan = this.filterByOwner(this.get().evaluationPlans).find(p =>
+            p.subjectId === subjectId && p.term === term && p.level === level && String(p.classroom || '') === String(classroom || '')
+        );
+        if (plan) return plan.evaluations;
+
+        return [1, 2, 3, 4, 5].map(i => ({ id: `d${i}`, name: `D${i}`, type: 'devoir', date: '', weight: 1, scale: 20 }));
+    },
+
+    // Saves a plan and moves the existing marks of the class to their evaluation's new position
+    saveEvaluationPlan(subjectId, term, level, classroom, evaluations) {
+        const previous = this.getEvaluationPlan(subjectId, term, level, classroom);
+        const data = this.get();
+        const ownerId = this.getCurrentOwnerId();
+
+        data.evaluationPlans = data.evaluationPlans.filter(p => !(
+            p.ownerId === ownerId && p.subjectId === subjectId && p.term === term &&
+            p.level === level && String(p.classroom || '') === String(classroom || '')
+        ));
+        data.evaluationPlans.push({ ownerId, subjectId, term, level, classroom: classroom || '', evaluations });
+
+        const studentIds = this.filterByOwner(data.students)
+            .filter(s => s.level === level && String(s.classroom || '') === String(classroom || ''))
+            .map(s => s.id);
+
+        this.filterByOwner(data.grades)
+            .filter(g => g.subjectId === subjectId && g.term === term && studentIds.includes(g.studentId))
+            .forEach(g => {
+                const oldValues = g.values || [];
+                const before = { ...g };
+                g.values = evaluations.map(ev => {
+                    const oldIndex = previous.findIndex(p => p.id === ev.id);
+                    return oldIndex >= 0 && oldValues[oldIndex] !== undefined ? oldValues[oldIndex] : '';
+                });
+                g.average = this.computeEvaluationAverage(g.values, evaluations);
+
+                // History: marks of removed evaluations and the recomputed average, compared evaluation by evaluation
+                const removed = previous.filter(p => !evaluations.some(ev => ev.id === p.id));
+                const labels = [...evaluations, ...removed];
+                const oldValue = (ev) => oldValues[previous.findIndex(p => p.id === ev.id)];
+                const changes = this.getGradeChanges(
+                    { ...before, values: labels.map(oldValue) },
+                    { ...g, values: [...g.values, ...removed.map(() => '')] },
+                    labels
+                );
+                if (Object.keys(changes).length > 0) {
+                    this.addAuditEntry(data, {
+                        entity: 'grade',
+                        entityId: `${g.studentId}|${g.subjectId}|${g.term}`,
+                        studentId: g.studentId,
+                        action: 'update',
+                        changes
+                    });
+                }
+            });
+
+        this.save(data);
+    },
+
+    // Weighted average on 20: each mark is brought back to /20 then weighted.
+    // Empty marks are ignored; returns '' when there is nothing to average.
+    computeEvaluationAverage(values, evaluations) {
+        let sum = 0;
+        let weights = 0;
+        evaluations.forEach((ev, i) => {
+            const val = parseFloat(values[i]);
+            const weight = parseFloat(ev.weight);
+            if (isNaN(val) || isNaN(weight)) return;
+            sum += (val / (parseFloat(ev.scale) || 20)) * 20 * weight;
+            weights += weight;
+        });
+        return weights > 0 ? (sum / weights).toFixed(2) : '';
+    },
+
+    migrateData(silent = false) {
+        const data = this.get();
+        let changed = false;
+
+        const migrateLevel = (l) => {
+            if (!l) return l;
+            const s = l.toString().toLowerCase().trim();
+            if (s.includes('7')) return '5ème';
+            if (s.includes('8')) return '4ème';
+            if (s.includes('9')) return '3ème';
+            return l;
+        };
+
+        // Migrate Students
+        if (data.students) {
+            data.students.forEach(s => {
+                // Special handling for preserving division if it was merged in level (e.g. "7ème 1")
+                if (s.level && (s.level.includes('7') || s.level.includes('8') || s.level.includes('9'))) {
+                    // Try to extract suffix if classroom is empty
+                    if (!s.classroom || s.classroom.trim() === '') {
+                        const match = s.level.match(/\d+(?:eme|ème)?\s*([a-zA-Z0-9]+)/i);
+                        if (match && match[1]) {
+                            // Check if the suffix is just "eme" or "ème" which is not a division
                             const suffix = match[1].toLowerCase();
                             if (suffix !== 'ème' && suffix !== 'eme') {
                                 s.classroom = match[1].toUpperCase();
@@ -303,15 +1454,13 @@ const Storage = {
         // Migrate Teachers
         if (data.teachers) {
             data.teachers.forEach(t => {
-                if (t.assignedClasses) {
-                    t.assignedClasses.forEach(c => {
-                        const newLevel = migrateLevel(c.level);
-                        if (newLevel !== c.level) {
-                            c.level = newLevel;
-                            changed = true;
-                        }
-                    });
-                }
+                [...(t.assignedClasses || []), ...(t.assignments || [])].forEach(c => {
+                    const newLevel = migrateLevel(c.level);
+                    if (newLevel !== c.level) {
+                        c.level = newLevel;
+                        changed = true;
+                    }
+                });
                 if (changed) {
                     this.save(data);
                     const msg = "Correction automatique des niveaux effectuée !";
@@ -356,6 +1505,43 @@ const Storage = {
     }
 };
 
+// Outgoing parent messages (SMS, letters). Adapters are pluggable: register a gateway
+// with Notifier.register('name', { label, send(message) => Promise }) then Notifier.use('name').
+// Only SMS go through the adapter; printed letters are just recorded.
+const Notifier = {
+    current: 'local',
+    adapters: {
+        local: {
+            label: 'Stub local (aucun envoi réel)',
+            send(message) {
+                return Promise.resolve({ ok: true, reference: `local-${Date.now()}` });
+            }
+        }
+    },
+
+    register(name, adapter) {
+        this.adapters[name] = adapter;
+    },
+
+    use(name) {
+        if (this.adapters[name]) this.current = name;
+    },
+
+    // Sends through the active adapter and records the result in Storage
+    send(message) {
+        const adapter = this.adapters[this.current];
+        return adapter.send(message).then(result => {
+            Storage.addNotification({ ...message, adapter: this.current, ok: !!result.ok, reference: result.reference || null });
+            return result;
+        });
+    },
+
+    // Letters are printed by the school: recorded in the history, never handed to the SMS adapter
+    recordLetter(message) {
+        Storage.addNotification({ ...message, adapter: 'print', ok: true, reference: null });
+    }
+};
+
 const UI = {
     triggerMigration() {
         const count = Storage.migrateData(false); // Not silent, show alert
@@ -394,6 +1580,7 @@ const UI = {
             'subjects': 'Gestion des Matières',
             'teachers': 'Gestion des Professeurs',
             'grades': 'Saisie des Notes',
+            'timetable': 'Emploi du Temps',
             'principals': 'Gestion des Principaux'
         };
         document.getElementById('page-title').innerText = titles[view] || 'EduTrack';
@@ -409,8 +1596,33 @@ const UI = {
         else if (view === 'subjects') this.renderSubjects(contentArea);
         else if (view === 'teachers') this.renderTeachers(contentArea);
         else if (view === 'grades') this.renderGrades(contentArea);
+        else if (view === 'timetable') this.renderTimetable(contentArea);
         else if (view === 'principals') this.renderPrincipals(contentArea);
-        else if (view === 'supervisors') this.renderSupervisors(contentArea);
+        else if (view === 'supervisors') app.renderSupervisors(contentArea);
+
+        this.updateAlertBadge();
+    },
+
+    // Bell counter: students over the absence thresholds
+    updateAlertBadge() {
+        const bell = document.getElementById('alerts-bell');
+        if (!bell) return;
+        const role = sessionStorage.getItem('edutrack_role');
+
+        let badge = document.getElementById('alerts-bell-count');
+        const count = (role === 'principal' || role === 'supervisor') ? Storage.getAbsenceAlerts().length : 0;
+        if (count === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.id = 'alerts-bell-count';
+            badge.style.cssText = 'position: absolute; top: -4px; right: -4px; min-width: 18px; height: 18px; padding: 0 4px; border-radius: 9px; background: #ef4444; color: white; font-size: 11px; font-weight: 700; display: flex; align-items: center; justify-content: center;';
+            bell.style.position = 'relative';
+            bell.appendChild(badge);
+        }
+        badge.innerText = count > 99 ? '99+' : count;
     },
 
     renderDashboard(container) {
@@ -433,19 +1645,18 @@ const UI = {
             }
         }
 
-        // Filter fees manually as there is no getFees() helper that filters yet, or we create one.
-        // Let's rely on Storage.filterByOwner for fees too
-        const rawFees = Storage.get().fees || [];
-        const fees = Storage.filterByOwner(rawFees);
+        const fees = Storage.getFees();
 
         const studentsCount = students.length;
         const teachersCount = teachers.length;
         const supervisorsCount = supervisors.length;
+        const overdueCount = Storage.getOutstandingFees().length;
+        const absenceAlerts = Storage.getAbsenceAlerts();
 
         // Calculate Revenue per Month based on FILTERED fees
         const revenueByMonth = {};
         fees.forEach(fee => {
-            const month = fee.month || 'Inconnu';
+            const month = fee.month || fee.label || 'Inconnu';
             revenueByMonth[month] = (revenueByMonth[month] || 0) + (parseFloat(fee.amount) || 0);
         });
 
@@ -469,6 +1680,11 @@ const UI = {
                     <button class="btn btn-outline" style="font-size: 12px; padding: 4px 8px;" onclick="UI.triggerMigration()">
                         <i class="ph ph-wrench"></i> Corriger Niveaux
                     </button>
+                    ${sessionStorage.getItem('edutrack_role') === 'principal' ? `
+                        <button class="btn btn-outline" style="font-size: 12px; padding: 4px 8px;" onclick="app.showIntegrityModal()">
+                            <i class="ph ph-first-aid-kit"></i> Intégrité des données
+                        </button>
+                    ` : ''}
                     ${new Date().toLocaleDateString('fr-FR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
                 </div>
             </div>
@@ -495,6 +1711,23 @@ const UI = {
                     </div>
                     <p style="font-size: 28px; font-weight: 700;">${supervisorsCount}</p>
                 </div>
+                <div class="glass-panel animate-enter delay-4" style="cursor: pointer;" onclick="app.showOutstandingFees()" title="Voir les impayés">
+                    <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+                        <i class="ph-fill ph-warning-circle" style="font-size: 24px; color: #f87171;"></i>
+                        <h3 style="color: var(--text-muted); font-size: 14px; margin: 0;">Élèves en Impayé</h3>
+                    </div>
+                    <p style="font-size: 28px; font-weight: 700; color: ${overdueCount > 0 ? '#f87171' : 'inherit'};">${overdueCount}</p>
+                </div>
+            </div>
+
+            <div class="glass-panel animate-enter delay-4" style="margin-top: 24px;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <h3><i class="ph ph-bell-ringing" style="color: #f87171;"></i> Alertes Absences</h3>
+                    <span class="status-badge ${absenceAlerts.length > 0 ? 'status-danger' : 'status-valid'}">${absenceAlerts.length} élève(s)</span>
+                </div>
+                <div style="margin-top: 16px;">
+                    ${this.absenceAlertsListHtml(absenceAlerts)}
+                </div>
             </div>
 
             <div class="glass-panel animate-enter delay-4" style="margin-top: 24px;">
@@ -506,6 +1739,126 @@ const UI = {
         `;
     },
 
+    // Distinct classes (level + division) of a student list, sorted like the class filters
+    getClassList(students) {
+        const uniqueClasses = new Set();
+        students.forEach(s => {
+            if (s.level) uniqueClasses.add(JSON.stringify({ level: s.level, classroom: s.classroom || '' }));
+        });
+        return Array.from(uniqueClasses).map(c => JSON.parse(c)).sort((a, b) => {
+            if (a.level !== b.level) return a.level.localeCompare(b.level);
+            return parseInt(a.classroom || 0) - parseInt(b.classroom || 0);
+        });
+    },
+
+    // Students the current user may see: teachers only get their assigned classes
+    getScopedStudents() {
+        const students = Storage.getStudents();
+        if (sessionStorage.getItem('edutrack_role') !== 'teacher') return students;
+
+        return students.filter(s => Storage.getTeacherClasses(Storage.getCurrentTeacher()).some(c =>
+            c.level === s.level && String(c.division || '') === String(s.classroom || '')
+        ));
+    },
+
+    // School name printed on letters and receipts
+    getCollegeName() {
+        const role = sessionStorage.getItem('edutrack_role');
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        if (role === 'principal') return user.collegeName || "Ecole Privée Baraka";
+        const owner = Storage.getPrincipals().find(p => p.id === user.ownerId);
+        return owner ? (owner.collegeName || "Ecole Privée Baraka") : "Ecole Privée Baraka";
+    },
+
+    absenceAlertsListHtml(alerts) {
+        if (alerts.length === 0) return '<p style="color: var(--text-muted);">Aucun élève au-delà des seuils d\'absence.</p>';
+        return alerts.map(alert => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 12px 0; border-bottom: 1px solid var(--border-color);">
+                <div>
+                    <div style="font-weight: 600;">${alert.student.lastName} ${alert.student.firstName} <span style="font-size: 12px; color: var(--text-muted); font-weight: normal;">${alert.student.level}${alert.student.classroom || ''}</span></div>
+                    <div style="font-size: 12px; color: #f87171;">${alert.reasons.join(' - ')}</div>
+                    ${alert.lastNotification ? `<div style="font-size: 11px; color: var(--text-muted);">Parents notifiés le ${new Date(alert.lastNotification.sentAt).toLocaleDateString('fr-FR')} (${alert.lastNotification.channel === 'sms' ? 'SMS' : 'lettre'})</div>` : ''}
+                </div>
+                <button class="btn btn-outline" style="font-size: 12px; padding: 6px 12px;" onclick="app.showParentNotification('${alert.student.id}')">
+                    <i class="ph ph-paper-plane-tilt"></i> Notifier
+                </button>
+            </div>
+        `).join('');
+    },
+
+    showAbsenceAlertsModal() {
+        const alerts = Storage.getAbsenceAlerts();
+        const html = `
+            <div class="glass-panel" style="width: 600px; max-width: 90%; margin: 80px auto; max-height: 80vh; overflow-y: auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                    <h3 style="margin: 0;">Alertes Absences (${alerts.length})</h3>
+                    <button class="btn-icon" onclick="app.closeModal()"><i class="ph ph-x"></i></button>
+                </div>
+                ${this.absenceAlertsListHtml(alerts)}
+            </div>
+        `;
+        this.renderModal(html);
+    },
+
+    // Letter and SMS texts for a flagged student
+    buildAbsenceNotification(alert) {
+        const collegeName = this.getCollegeName();
+        const s = alert.student;
+        const name = `${s.lastName} ${s.firstName}`;
+        const classLabel = `${s.level}${s.classroom || ''}`;
+
+        return {
+            sms: `${collegeName} : votre enfant ${name} (${classLabel}) cumule ${alert.termHours}h d'absence non justifiées (${alert.term}). Merci de contacter l'administration.`,
+            letter: `
+                <p style="margin-bottom: 16px;"><strong>Aux parents de :</strong> ${name} (${classLabel})<br>
+                <strong>Téléphone :</strong> ${s.parentPhone || '-'}</p>
+                <p style="margin-bottom: 16px; font-weight: bold; text-decoration: underline;">Objet : Absences non justifiées</p>
+                <p style="margin-bottom: 16px; line-height: 1.6;">Madame, Monsieur,<br><br>
+                Nous vous informons que votre enfant a dépassé le seuil d'absences autorisé :</p>
+                <ul style="margin: 0 0 16px 24px;">
+                    ${alert.reasons.map(r => `<li>${r}</li>`).join('')}
+                </ul>
+                <p style="line-height: 1.6;">Nous vous prions de bien vouloir justifier ces absences ou prendre contact avec l'administration dans les meilleurs délais.</p>
+                <p style="text-align: right; margin-top: 40px; font-weight: bold; text-decoration: underline;">La Direction</p>
+            `
+        };
+    },
+
+    showParentNotificationModal(studentId) {
+        const alert = Storage.getAbsenceAlerts().find(a => a.student.id === studentId);
+        if (!alert) return;
+        const message = this.buildAbsenceNotification(alert);
+
+        const html = `
+            <div class="glass-panel" style="width: 700px; max-width: 95%; margin: 20px auto; color: var(--text-main);">
+                <div class="no-print">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                        <h3 style="margin: 0;">Notifier les Parents</h3>
+                        <button class="btn-icon" onclick="app.closeModal()"><i class="ph ph-x"></i></button>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">SMS au ${alert.student.parentPhone || '(aucun numéro)'}</label>
+                        <textarea id="notification-sms-text" class="form-input" rows="3" style="resize: vertical;">${message.sms}</textarea>
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end; margin-bottom: 24px;">
+                        <span style="font-size: 11px; color: var(--text-muted); align-self: center;">Passerelle : ${Notifier.adapters[Notifier.current].label}</span>
+                        <button class="btn btn-outline" onclick="app.sendParentNotification('${studentId}', 'letter')"><i class="ph ph-printer"></i> Imprimer la lettre</button>
+                        <button class="btn btn-primary" onclick="app.sendParentNotification('${studentId}', 'sms')" ${alert.student.parentPhone ? '' : 'disabled'}><i class="ph ph-paper-plane-tilt"></i> Envoyer le SMS</button>
+                    </div>
+                </div>
+
+                <div id="notification-letter" style="background: white; color: black; padding: 40px; border-radius: 4px;">
+                    <div style="border-bottom: 2px solid black; padding-bottom: 16px; margin-bottom: 24px; display: flex; justify-content: space-between;">
+                        <h2 style="margin: 0; font-size: 20px; text-transform: uppercase;">${this.getCollegeName()}</h2>
+                        <p style="margin: 0;">Le ${new Date().toLocaleDateString('fr-FR')}</p>
+                    </div>
+                    ${message.letter}
+                </div>
+            </div>
+        `;
+        this.renderModal(html);
+    },
+
     handleClaimData() {
         if (confirm("Êtes-vous sûr de vouloir vous approprier toutes les données existantes ?\\nFaites-le UNIQUEMENT si vous êtes le propriétaire légitime de ces données.")) {
             const userStr = sessionStorage.getItem('edutrack_user');
@@ -519,23 +1872,8 @@ const UI = {
     },
 
     renderStudents(container, filterClass = null) {
-        let students = Storage.getStudents();
-        const role = sessionStorage.getItem('edutrack_role');
-        const userStr = sessionStorage.getItem('edutrack_user');
-
-        // Filter for Teachers (Existing logic)
-        if (role === 'teacher' && userStr) {
-            const teacher = JSON.parse(userStr);
-            if (teacher.assignedClasses && teacher.assignedClasses.length > 0) {
-                students = students.filter(s => {
-                    return teacher.assignedClasses.some(c =>
-                        c.level === s.level && String(c.division) === String(s.classroom)
-                    );
-                });
-            } else {
-                students = [];
-            }
-        }
+        // Teachers only see the classes they are assigned to
+        let students = this.getScopedStudents();
 
         // --- Class Filter Logic ---
         const uniqueClasses = new Set();
@@ -579,6 +1917,7 @@ const UI = {
                 </div>
                 <div style="display: flex; gap: 12px;">
                     <input type="file" id="import-file" accept=".xlsx, .xls, .csv" style="display: none;" onchange="app.handleImportStudents(event)">
+                    ${this.exportButtonsHtml(format => `app.exportStudents('${filterClass || ''}', '${format}')`)}
                     <button class="btn btn-outline" onclick="app.triggerImportStudents()">
                         <i class="ph ph-microsoft-excel-logo"></i>
                         Importer Excel
@@ -604,14 +1943,14 @@ const UI = {
                                 <th>Niveau / Division</th>
                                 <th>Parent (Tél)</th>
                                 <th>Adresse</th>
-                                <th>Absences Total</th>
+                                <th>Absences (Just. / Non just.)</th>
                                 <th>Actions</th>
                             </tr>
                         </thead>
                         <tbody>
                             ${filteredStudents.length === 0 ? '<tr><td colspan="6" style="text-align:center; padding: 24px; color: var(--text-muted);">Aucun élève trouvé dans cette classe.</td></tr>' : ''}
                             ${filteredStudents.map(s => {
-            const absHours = Storage.getStudentAbsences(s.id);
+            const abs = Storage.getStudentAbsenceSummary(s.id);
             return `
                                 <tr>
                                     <td>
@@ -621,11 +1960,18 @@ const UI = {
                                     <td><span class="status-badge status-valid">${s.level}${s.classroom || ''}</span></td>
                                     <td>${s.parentPhone}</td>
                                     <td>${s.address}</td>
-                                    <td>${absHours > 0 ? `<span style="color: #ef4444; font-weight: 600;">${absHours}h</span>` : '<span style="color: var(--text-muted);">-</span>'}</td>
+                                    <td>${abs.total > 0 ? `
+                                        <span style="color: #ef4444; font-weight: 600;">${abs.total}h</span>
+                                        <div style="font-size: 11px; color: var(--text-muted);">${abs.justified}h just. / ${abs.unjustified}h non just.${abs.pending > 0 ? ` / ${abs.pending}h en attente` : ''}</div>
+                                    ` : '<span style="color: var(--text-muted);">-</span>'}
+                                    ${abs.lateCount > 0 ? `<div style="font-size: 11px; color: #facc15;">${abs.lateCount} retard(s)</div>` : ''}</td>
                                     <td>
                                         <button class="btn-icon" style="width: 32px; height: 32px; color: var(--primary);" onclick="app.showStudentReportCard('${s.id}')" title="Bulletin">
                                             <i class="ph ph-printer"></i>
                                         </button>
+                                        <button class="btn-icon" style="width: 32px; height: 32px;" onclick="app.showAddStudentModal('${s.id}')" title="Modifier">
+                                            <i class="ph ph-pencil-simple"></i>
+                                        </button>
                                         <button class="btn-icon" style="width: 32px; height: 32px; color: #f87171;" onclick="app.deleteStudent('${s.id}')" title="Supprimer">
                                             <i class="ph ph-trash"></i>
                                         </button>
@@ -640,18 +1986,37 @@ const UI = {
     },
 
     renderAbsences(container) {
-        const students = Storage.getStudents();
-        const data = Storage.get();
+        const students = this.getScopedStudents();
+        const allStudents = Storage.getStudents(true);
+        const absences = Storage.getAbsences().filter(a =>
+            sessionStorage.getItem('edutrack_role') !== 'teacher' || students.some(s => s.id === a.studentId)
+        );
         // Flatten absences to show history or show per student?
         // Let's show a list of absence records + a button to add new one.
 
+        // Per-student recap (absences and retards kept apart)
+        const recap = students
+            .filter(s => absences.some(a => a.studentId === s.id))
+            .map(s => ({ student: s, summary: Storage.getStudentAbsenceSummary(s.id) }))
+            .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
         container.innerHTML = `
             <div class="page-header-area">
                 <div class="search-box"></div>
-                <button class="btn btn-primary" onclick="app.showAddAbsenceModal()">
-                    <i class="ph ph-plus"></i>
-                    Ajouter Absence
-                </button>
+                <div style="display: flex; gap: 12px;">
+                    <button class="btn btn-outline" onclick="app.showAbsenceAnalytics()">
+                        <i class="ph ph-chart-bar"></i>
+                        Statistiques
+                    </button>
+                    <button class="btn btn-outline" onclick="app.showRollCall()">
+                        <i class="ph ph-list-checks"></i>
+                        Faire l'appel
+                    </button>
+                    <button class="btn btn-primary" onclick="app.showAddAbsenceModal()">
+                        <i class="ph ph-plus"></i>
+                        Ajouter Absence
+                    </button>
+                </div>
             </div>
 
             <div class="glass-panel table-container animate-enter">
@@ -663,542 +2028,2296 @@ const UI = {
                             <th>Élève</th>
                             <th>Heures</th>
                             <th>Motif</th>
+                            <th>Statut</th>
+                            <th>Actions</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${data.absences.length === 0 ? '<tr><td colspan="4" style="text-align:center; padding: 24px; color: var(--text-muted);">Aucune absence enregistrée.</td></tr>' : ''}
-                        ${data.absences.sort((a, b) => new Date(b.date) - new Date(a.date)).map(abs => {
-            const student = students.find(s => s.id === abs.studentId);
-            const studentName = student ? `${student.lastName} ${student.firstName}` : 'Élève Inconnu';
+                        ${absences.length === 0 ? '<tr><td colspan="6" style="text-align:center; padding: 24px; color: var(--text-muted);">Aucune absence enregistrée.</td></tr>' : ''}
+                        ${absences.sort((a, b) => new Date(b.date) - new Date(a.date)).map(abs => {
+            const student = allStudents.find(s => s.id === abs.studentId);
+            const studentName = this.studentName(student);
+            const status = ABSENCE_STATUSES[abs.status] || ABSENCE_STATUSES.unjustified;
             return `
                                 <tr>
                                     <td>${abs.date}</td>
                                     <td>${studentName}</td>
-                                    <td><span style="font-weight: bold; color: #ef4444;">${abs.hours}h</span></td>
-                                    <td>${abs.reason || '-'}</td>
+                                    <td>${abs.type === 'late'
+                    ? `<span class="status-badge status-warning">Retard ${abs.minutes || 0} min</span>${abs.arrivalTime ? `<div style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">Arrivée ${abs.arrivalTime}</div>` : ''}`
+                    : `<span style="font-weight: bold; color: #ef4444;">${abs.hours}h</span>`}</td>
+                                    <td>
+                                        ${abs.reason || '-'}
+                                        ${abs.justificationNote ? `<div style="font-size: 11px; color: var(--text-muted);">${abs.justificationNote}</div>` : ''}
+                                    </td>
+                                    <td><span class="status-badge ${status.badge}">${status.label}</span></td>
+                                    <td>
+                                        ${this.canJustifyAbsence() ? `
+                                            <button class="btn-icon" style="width: 32px; height: 32px; color: var(--primary);" onclick="app.showJustifyAbsenceModal('${abs.id}')" title="Justifier">
+                                                <i class="ph ph-seal-check"></i>
+                                            </button>
+                                        ` : ''}
+                                        ${abs.document ? `
+                                            <button class="btn-icon" style="width: 32px; height: 32px;" onclick="app.downloadJustification('${abs.id}')" title="Justificatif : ${abs.document.name}">
+                                                <i class="ph ph-paperclip"></i>
+                                            </button>
+                                        ` : ''}
+                                        ${this.canEditAbsence(abs) ? `
+                                            <button class="btn-icon" style="width: 32px; height: 32px;" onclick="app.showEditAbsenceModal('${abs.id}')" title="Modifier">
+                                                <i class="ph ph-pencil-simple"></i>
+                                            </button>
+                                            <button class="btn-icon" style="width: 32px; height: 32px; color: #f87171;" onclick="app.deleteAbsence('${abs.id}')" title="Supprimer">
+                                                <i class="ph ph-trash"></i>
+                                            </button>
+                                        ` : ''}
+                                    </td>
                                 </tr>
                             `;
         }).join('')}
                     </tbody>
                 </table>
             </div>
-        `;
-    },
-
-    renderFees(container) {
-        container.innerHTML = `
-            <div class="page-header-area">
-                <h3 style="margin: 0;">Frais Scolaires</h3>
-                <div class="search-box"></div>
-                <button class="btn btn-primary" onclick="app.showAddFeeModal()">
-                    <i class="ph ph-money"></i>
-                    Nouveau Paiement
-                </button>
-            </div>
-            
-            <div class="glass-panel animate-enter" style="margin-top: 24px; text-align: center; color: var(--text-muted); padding: 40px;">
-                <p>Historique masqué.</p>
-            </div>
-        `;
-    },
 
-    renderSubjects(container) {
-        const subjects = Storage.getSubjects();
-        container.innerHTML = `
-            <div class="page-header-area">
-                <div class="search-box"></div>
-                <button class="btn btn-primary" onclick="app.showAddSubjectModal()">
-                    <i class="ph ph-plus"></i>
-                    Nouvelle Matière
-                </button>
-            </div>
-            <div class="glass-panel table-container animate-enter">
+            <div class="glass-panel table-container animate-enter" style="margin-top: 24px;">
+                <h3 style="margin-bottom: 16px;">Récapitulatif par Élève</h3>
                 <table class="data-table">
                     <thead>
                         <tr>
-                            <th>Nom de la Matière</th>
-                            <th>Actions</th>
+                            <th>Élève</th>
+                            <th>Classe</th>
+                            <th>Absences</th>
+                            <th>Non justifiées</th>
+                            <th>Retards</th>
+                            <th>Équivalent Retards</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${subjects.length === 0 ? '<tr><td colspan="2" style="text-align:center;">Aucune matière.</td></tr>' : ''}
-                        ${subjects.map(s => `
+                        ${recap.length === 0 ? '<tr><td colspan="6" style="text-align:center; padding: 24px; color: var(--text-muted);">Aucun élève concerné.</td></tr>' : ''}
+                        ${recap.map(({ student, summary }) => `
                             <tr>
-                                <td>${s.name}</td>
-                                <td>
-                                    <button class="btn-icon" onclick="app.deleteSubject('${s.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
-                                </td>
+                                <td style="font-weight: 600;">${student.lastName} ${student.firstName}</td>
+                                <td>${student.level}${student.classroom || ''}</td>
+                                <td>${summary.total}h</td>
+                                <td style="color: ${summary.unjustified > 0 ? '#f87171' : 'inherit'};">${summary.unjustified}h</td>
+                                <td>${summary.lateCount} <span style="font-size: 11px; color: var(--text-muted);">(${summary.lateMinutes} min)</span></td>
+                                <td>${summary.latePenalty > 0 ? `<span class="status-badge status-warning">${summary.latePenalty}h</span>` : '-'}</td>
                             </tr>
                         `).join('')}
                     </tbody>
                 </table>
             </div>
+
+            ${sessionStorage.getItem('edutrack_role') === 'principal' ? `
+                <div class="glass-panel animate-enter" style="margin-top: 24px;">
+                    <h3 style="margin-bottom: 16px;">Journal des Modifications</h3>
+                    ${this.auditEntriesHtml(Storage.getAuditLog('absence').slice(0, 30).map(e => {
+            const student = allStudents.find(st => st.id === e.studentId);
+            return student ? { ...e, userName: `${e.userName} [${student.lastName} ${student.firstName}]` } : e;
+        }))}
+                </div>
+            ` : ''}
         `;
     },
 
-    renderTeachers(container) {
-        const teachers = Storage.getTeachers();
-        const subjects = Storage.getSubjects();
+    // Excel + CSV buttons; `call(format)` returns the onclick code for that format
+    exportButtonsHtml(call) {
+        return `
+            <button type="button" class="btn btn-outline" onclick="${call('xlsx')}" title="Exporter en Excel">
+                <i class="ph ph-microsoft-excel-logo"></i> Excel
+            </button>
+            <button type="button" class="btn btn-outline" onclick="${call('csv')}" title="Exporter en CSV">
+                <i class="ph ph-file-csv"></i> CSV
+            </button>
+        `;
+    },
 
-        container.innerHTML = `
-            <div class="page-header-area">
-                <div class="search-box"></div>
-                <button class="btn btn-primary" onclick="app.showAddTeacherModal()">
-                    <i class="ph ph-plus"></i>
-                    Nouveau Professeur
-                </button>
+    // Horizontal CSS bar chart: entries = [{ label, value }]
+    barChartHtml(entries, color = 'var(--primary)', unit = 'h') {
+        const max = Math.max(...entries.map(e => e.value), 0);
+        if (max === 0) return '<p style="color: var(--text-muted); font-size: 13px;">Aucune donnée.</p>';
+        return entries.map(e => `
+            <div style="display: grid; grid-template-columns: 110px 1fr 50px; gap: 8px; align-items: center; margin-bottom: 8px; font-size: 13px;">
+                <span style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${e.label}">${e.label}</span>
+                <div style="background: rgba(255,255,255,0.05); border-radius: 4px; height: 14px;">
+                    <div style="width: ${(e.value / max) * 100}%; height: 100%; background: ${color}; border-radius: 4px;"></div>
+                </div>
+                <span style="text-align: right; font-weight: 600;">${e.value}${unit}</span>
             </div>
-            <div class="glass-panel table-container animate-enter">
-                <table class="data-table">
-                    <thead>
-                        <tr>
-                            <th>Nom & Prénom</th>
-                            <th>Matière</th>
-                            <th>Info. Contact</th>
-                            <th>Classes</th>
-                            <th>Identification</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${teachers.length === 0 ? '<tr><td colspan="6" style="text-align:center;">Aucun professeur.</td></tr>' : ''}
-                        ${teachers.map(t => {
-            const subj = subjects.find(s => s.id === t.subjectId);
-            const classesCount = t.assignedClasses ? t.assignedClasses.length : 0;
-            const classesTooltip = t.assignedClasses ? t.assignedClasses.map(c => `${c.level}${c.division || ''}`).join(', ') : '';
-            return `
+        `).join('');
+    },
+
+    renderAbsenceAnalytics(container, term = '') {
+        const students = this.getScopedStudents();
+        const schoolYear = Storage.getSchoolYear();
+
+        // Absence hours of the current school year (retards excluded), optionally one term
+        const absences = Storage.getAbsences().filter(a =>
+            a.type !== 'late' &&
+            students.some(s => s.id === a.studentId) &&
+            Storage.getSchoolYear(a.date) === schoolYear &&
+            (!term || Storage.getTermForDate(a.date) === term)
+        );
+        const hoursOf = (a) => parseFloat(a.hours) || 0;
+        const totalHours = absences.reduce((total, a) => total + hoursOf(a), 0);
+
+        const sumBy = (keyOf) => {
+            const totals = {};
+            absences.forEach(a => {
+                const key = keyOf(a);
+                totals[key] = (totals[key] || 0) + hoursOf(a);
+            });
+            return totals;
+        };
+
+        // By class
+        const studentClass = (a) => {
+            const s = students.find(x => x.id === a.studentId);
+            return `${s.level}${s.classroom || ''}`;
+        };
+        const byClass = sumBy(studentClass);
+        const classEntries = this.getClassList(students)
+            .map(c => ({ label: `${c.level}${c.classroom || ''}`, value: byClass[`${c.level}${c.classroom || ''}`] || 0 }));
+
+        // By weekday (Monday first; the date is read as a local day)
+        const weekdays = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+        const byWeekday = sumBy(a => weekdays[new Date(`${a.date}T00:00:00`).getDay()]);
+        const weekdayEntries = [...weekdays.slice(1), weekdays[0]].map(d => ({ label: d, value: byWeekday[d] || 0 }));
+
+        // By month of the school year
+        const monthsOrder = ['Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin', 'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'];
+        const byMonth = sumBy(a => monthsOrder[new Date(`${a.date}T00:00:00`).getMonth()]);
+        const monthEntries = SCHOOL_MONTHS.map(m => ({ label: m, value: byMonth[m] || 0 }));
+
+        // By reason (case-insensitive grouping)
+        const byReason = sumBy(a => {
+            const reason = (a.reason || '').trim();
+            return reason ? reason.charAt(0).toUpperCase() + reason.slice(1).toLowerCase() : 'Non précisé';
+        });
+        const reasonEntries = Object.keys(byReason)
+            .map(r => ({ label: r, value: byReason[r] }))
+            .sort((a, b) => b.value - a.value);
+
+        // Top absentees per class
+        const byStudent = sumBy(a => a.studentId);
+        const topByClass = this.getClassList(students).map(c => ({
+            label: `${c.level}${c.classroom || ''}`,
+            top: students
+                .filter(s => s.level === c.level && String(s.classroom || '') === String(c.classroom || '') && byStudent[s.id])
+                .map(s => ({ student: s, hours: byStudent[s.id] }))
+                .sort((a, b) => b.hours - a.hours)
+                .slice(0, 5)
+        })).filter(c => c.top.length > 0);
+
+        const panel = (title, body) => `
+            <div class="glass-panel animate-enter">
+                <h3 style="margin-bottom: 16px;">${title}</h3>
+                ${body}
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div style="display: flex; gap: 12px; align-items: center;">
+                    <button class="btn btn-outline" onclick="app.navigate('absences')"><i class="ph ph-arrow-left"></i> Retour</button>
+                    <select class="form-input" style="width: 180px;" onchange="app.showAbsenceAnalytics(this.value)">
+                        <option value="" ${!term ? 'selected' : ''}>Année ${schoolYear}</option>
+                        <option value="Trimestre 1" ${term === 'Trimestre 1' ? 'selected' : ''}>Trimestre 1</option>
+                        <option value="Trimestre 2" ${term === 'Trimestre 2' ? 'selected' : ''}>Trimestre 2</option>
+                        <option value="Trimestre 3" ${term === 'Trimestre 3' ? 'selected' : ''}>Trimestre 3</option>
+                    </select>
+                </div>
+                <span style="font-weight: 700;">Total : ${totalHours}h d'absence</span>
+            </div>
+
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 24px;">
+                ${panel('Par Classe', this.barChartHtml(classEntries, 'var(--primary)'))}
+                ${panel('Par Jour de la Semaine', this.barChartHtml(weekdayEntries, '#8b5cf6'))}
+                ${panel('Par Mois', this.barChartHtml(monthEntries, '#f59e0b'))}
+                ${panel('Par Motif', this.barChartHtml(reasonEntries, '#f87171'))}
+            </div>
+
+            <div class="glass-panel table-container animate-enter" style="margin-top: 24px;">
+                <h3 style="margin-bottom: 16px;">Élèves les plus absents par classe</h3>
+                ${topByClass.length === 0 ? '<p style="color: var(--text-muted);">Aucune absence sur la période.</p>' : `
+                    <table class="data-table">
+                        <thead>
                             <tr>
-                                <td>
-                                    <div style="font-weight: 600;">${t.lastName} ${t.firstName}</div>
-                                    <div style="font-size: 11px; color: var(--text-muted);">${t.sex || '-'}</div>
-                                </td>
-                                <td><span class="status-badge status-warning">${subj ? subj.name : 'Inconnu'}</span></td>
-                                <td>${t.phone || '-'}</td>
-                                <td title="${classesTooltip}">
-                                    <div style="display: flex; gap: 4px; flex-wrap: wrap;">
-                                        ${t.assignedClasses && t.assignedClasses.length > 0
-                    ? t.assignedClasses.map(c => `<span class="status-badge status-neutral" style="font-size: 10px;">${c.level}${c.division}</span>`).join('')
-                    : '<span style="color: var(--text-muted); font-size: 11px;">Aucune</span>'}
-                                    </div>
-                                </td>
-                                <td>
-                                    <div style="font-size: 12px;">Login: <strong>${t.username}</strong></div>
-                                    <div style="font-size: 12px;">Mdp: <strong>${t.password}</strong></div>
-                                </td>
-                                <td>
-                                    <button class="btn-icon" onclick="app.resetUserPassword('teacher', '${t.id}')" title="Réinitialiser MDP"><i class="ph ph-arrow-counter-clockwise"></i></button>
-                                    <button class="btn-icon" onclick="app.deleteTeacher('${t.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
-                                </td>
+                                <th>Classe</th>
+                                <th>Élèves (heures)</th>
                             </tr>
-                            `;
-        }).join('')}
-                    </tbody>
-                </table>
+                        </thead>
+                        <tbody>
+                            ${topByClass.map(c => `
+                                <tr>
+                                    <td style="font-weight: 600;">${c.label}</td>
+                                    <td>${c.top.map((t, i) => `<span class="status-badge ${i === 0 ? 'status-danger' : 'status-warning'}" style="display: inline-block; margin: 2px; font-size: 11px;">${t.student.lastName} ${t.student.firstName} - ${t.hours}h</span>`).join('')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
             </div>
         `;
     },
 
-    renderGrades(container) {
+    // Roll-call slots of a class on a date: the half-days, then each timetable period the class has that day
+    getRollCallSlots(classValue, date) {
+        const [level, classroom] = (classValue || '').split('|');
+        const weekdays = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+        const day = weekdays[new Date(`${date}T00:00:00`).getDay()];
         const subjects = Storage.getSubjects();
-        const students = Storage.getStudents();
-
-        // Extract unique levels and classrooms for filter
-        let levels = ["6ème", "5ème", "4ème", "3ème", "Lycée"];
-        let classrooms = [...new Set(students.map(s => s.classroom).filter(Boolean))].sort();
-        let allowedSubjects = subjects;
-
-        // Teacher Restriction
-        const role = sessionStorage.getItem('edutrack_role');
-        if (role === 'teacher') {
-            const userStr = sessionStorage.getItem('edutrack_user');
-            if (userStr) {
-                const teacher = JSON.parse(userStr);
 
-                // Restrict Subject
-                if (teacher.subjectId) {
-                    allowedSubjects = subjects.filter(s => s.id === teacher.subjectId);
-                }
+        const lessons = !classValue ? [] : Storage.getTimetable().filter(e =>
+            e.day === day && e.level === level && String(e.classroom || '') === String(classroom || '')
+        );
+        const periods = TIMETABLE_PERIODS
+            .map(p => ({ period: p, lesson: lessons.find(e => e.periodId === p.id) }))
+            .filter(x => x.lesson)
+            .map(({ period, lesson }) => {
+                const subject = subjects.find(x => x.id === lesson.subjectId);
+                return {
+                    id: period.id,
+                    label: `${period.start} - ${period.end}${subject ? ` · ${subject.name}` : ''}`,
+                    hours: 1,
+                    start: period.start,
+                    halfDay: period.slot,
+                    subjectId: lesson.subjectId
+                };
+            });
+        return [...ROLL_CALL_SLOTS, ...periods];
+    },
 
-                // Restrict Levels and Divisions based on assignment
-                // We should only show levels/divisions that the teacher is assigned to
-                if (teacher.assignedClasses && teacher.assignedClasses.length > 0) {
-                    const assignedLevels = [...new Set(teacher.assignedClasses.map(c => c.level))];
-                    levels = levels.filter(l => assignedLevels.includes(l));
-
-                    // Note: Filtering divisions here is tricky because it depends on the selected level.
-                    // Ideally, we should filter the division dropdown *dynamically* when level changes.
-                    // But for now, let's just initial filter or leave all divisions (since selecting a wrong one will show no students).
-                    // Better approach: Let app.refreshGradesView handle validation or just show empty list.
-                    // For UI cleanliness, let's filter the initial lists if possible.
-                }
-            }
-        }
+    renderRollCall(container, classValue = '', date = new Date().toISOString().split('T')[0], slot = ROLL_CALL_SLOTS[0].id) {
+        const students = this.getScopedStudents();
+        const classes = this.getClassList(students);
+        const slots = this.getRollCallSlots(classValue, date);
+        const slotDef = slots.find(x => x.id === slot) || slots[0];
+
+        const classStudents = classValue
+            ? students
+                .filter(s => `${s.level}|${s.classroom || ''}` === classValue)
+                .sort((a, b) => a.lastName.localeCompare(b.lastName))
+            : [];
+
+        // Records already saved for this date + slot (or an overlapping half-day / period)
+        // are shown but not saved twice
+        const halfDayOf = (slotId) => (TIMETABLE_PERIODS.find(p => p.id === slotId) || {}).slot;
+        const existing = Storage.getAbsences().filter(a => a.date === date && (
+            a.slot === slotDef.id || a.slot === slotDef.halfDay || halfDayOf(a.slot) === slotDef.id
+        ));
+
+        const presenceToggle = (s, value, label, color, current, locked) => `
+            <label style="display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; cursor: pointer; color: ${color};">
+                <input type="radio" name="presence_${s.id}" value="${value}" ${current === value ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+                ${label}
+            </label>
+        `;
 
-        // Initial render wrapper
         container.innerHTML = `
+            <div class="page-header-area">
+                <button class="btn btn-outline" onclick="app.navigate('absences')"><i class="ph ph-arrow-left"></i> Retour</button>
+            </div>
+
             <div class="glass-panel animate-enter" style="margin-bottom: 24px;">
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 16px; align-items: flex-end;">
-                    <div id="subject-select-container" style="${role === 'admin' ? 'display:none;' : ''}">
-                        <label class="form-label">Matière</label>
-                        <select id="grade-subject-select" class="form-input" onchange="app.refreshGradesView()">
-                            <option value="">Choisir une matière</option>
-                            ${allowedSubjects.map(s => `<option value="${s.id}">${s.name}</option>`).join('')}
-                        </select>
-                    </div>
                     <div>
                         <label class="form-label">Classe</label>
-                        <select id="grade-class-select" class="form-input" onchange="app.refreshGradesView()">
+                        <select id="rollcall-class" class="form-input" onchange="app.refreshRollCall()">
                             <option value="">Choisir une classe</option>
-                            ${(function () {
-                // Dynamically generate options from existing students
-                const uniqueClasses = new Set();
-                const levels = ["6ème", "5ème", "4ème", "3ème", "Lycée"];
-
-                students.forEach(s => {
-                    if (s.level) {
-                        const div = s.classroom ? s.classroom : '';
-                        uniqueClasses.add(JSON.stringify({ level: s.level, classroom: div }));
-                    }
-                });
-
-                // Convert Set back to array of objects
-                let allOptions = Array.from(uniqueClasses).map(s => JSON.parse(s));
-
-                // Sort
-                allOptions.sort((a, b) => {
-                    if (a.level !== b.level) return a.level.localeCompare(b.level);
-                    return parseInt(a.classroom || 0) - parseInt(b.classroom || 0);
-                });
-
-                // Filter for Teachers
-                const role = sessionStorage.getItem('edutrack_role');
-                if (role === 'teacher') {
-                    const userStr = sessionStorage.getItem('edutrack_user');
-                    if (userStr) {
-                        const teacher = JSON.parse(userStr);
-                        if (teacher.assignedClasses && teacher.assignedClasses.length > 0) {
-                            allOptions = allOptions.filter(opt =>
-                                teacher.assignedClasses.some(tc =>
-                                    tc.level === opt.level && String(tc.division || '') === String(opt.classroom || '')
-                                )
-                            );
-                        } else {
-                            allOptions = [];
-                        }
-                    }
-                }
-
-                if (allOptions.length === 0 && role === 'teacher') {
-                    return '<option value="" disabled>Aucune classe assignée</option>';
-                }
-
-                return allOptions.map(c => {
-                    const val = `${c.level}|${c.classroom}`;
-                    const label = `${c.level}${c.classroom || ''}`;
-                    return `<option value="${val}">${label}</option>`;
-                }).join('');
-            })()}
+                            ${classes.map(c => {
+            const val = `${c.level}|${c.classroom || ''}`;
+            return `<option value="${val}" ${val === classValue ? 'selected' : ''}>${c.level}${c.classroom || ''}</option>`;
+        }).join('')}
                         </select>
                     </div>
                     <div>
-                        <label class="form-label">Trimestre</label>
-                        <select id="grade-term-select" class="form-input" onchange="app.refreshGradesView()">
-                            <option value="Trimestre 1">Trimestre 1</option>
-                            <option value="Trimestre 2">Trimestre 2</option>
-                            <option value="Trimestre 3">Trimestre 3</option>
+                        <label class="form-label">Date</label>
+                        <input type="date" id="rollcall-date" class="form-input" value="${date}" onchange="app.refreshRollCall()">
+                    </div>
+                    <div>
+                        <label class="form-label">Créneau</label>
+                        <select id="rollcall-slot" class="form-input" onchange="app.refreshRollCall()">
+                            ${slots.map(x => `<option value="${x.id}" ${x.id === slotDef.id ? 'selected' : ''}>${x.label}</option>`).join('')}
                         </select>
                     </div>
                 </div>
             </div>
-            
-            <div id="grades-list-container">
-                <div style="text-align: center; color: var(--text-muted); padding: 40px;">
-                    Veuillez sélectionner une matière et un niveau pour saisir les notes.
+
+            ${!classValue ? `
+                <div class="glass-panel animate-enter" style="text-align: center; padding: 60px; color: var(--text-muted);">
+                    <i class="ph ph-list-checks" style="font-size: 48px; margin-bottom: 16px; opacity: 0.5;"></i>
+                    <p style="font-size: 16px;">Sélectionnez une classe pour faire l'appel.</p>
                 </div>
-            </div>
+            ` : `
+                <form onsubmit="app.handleSaveRollCall(event)">
+                    <input type="hidden" name="date" value="${date}">
+                    <input type="hidden" name="slot" value="${slotDef.id}">
+                    <input type="hidden" name="classValue" value="${classValue}">
+                    <div class="glass-panel table-container animate-enter">
+                        <div style="display: flex; justify-content: space-between; margin-bottom: 16px; align-items: center;">
+                            <h3>Appel - ${classValue.replace('|', '')} (${classStudents.length} élèves)</h3>
+                            <button type="submit" class="btn btn-primary"><i class="ph ph-check"></i> Enregistrer l'appel</button>
+                        </div>
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Élève</th>
+                                    <th>Présence</th>
+                                    <th style="width: 100px;">Heures</th>
+                                    <th style="width: 120px;">Retard (min)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${classStudents.length === 0 ? '<tr><td colspan="4" style="text-align:center;">Aucun élève dans cette classe.</td></tr>' : ''}
+                                ${classStudents.map(s => {
+            const record = existing.find(a => a.studentId === s.id);
+            const current = record ? (record.type === 'late' ? 'late' : 'absent') : 'present';
+            return `
+                                    <tr>
+                                        <td>
+                                            <div style="font-weight: 600;">${s.lastName} ${s.firstName}</div>
+                                            ${record ? '<div style="font-size: 11px; color: var(--text-muted);">Déjà saisi</div>' : ''}
+                                        </td>
+                                        <td>
+                                            ${presenceToggle(s, 'present', 'Présent', '#4ade80', current, !!record)}
+                                            ${presenceToggle(s, 'absent', 'Absent', '#f87171', current, !!record)}
+                                            ${presenceToggle(s, 'late', 'Retard', '#facc15', current, !!record)}
+                                        </td>
+                                        <td>
+                                            <input type="number" name="hours_${s.id}" class="form-input" style="width: 60px; padding: 6px; text-align: center;" min="1" value="${record && record.type !== 'late' ? record.hours : slotDef.hours}" ${record ? 'disabled' : ''}>
+                                        </td>
+                                        <td>
+                                            <input type="number" name="minutes_${s.id}" class="form-input" style="width: 60px; padding: 6px; text-align: center;" min="1" value="${record && record.type === 'late' ? (record.minutes || '') : ''}" placeholder="min" ${record ? 'disabled' : ''}>
+                                        </td>
+                                    </tr>
+                                `;
+        }).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </form>
+            `}
         `;
+    },
 
-        // If teacher has only one subject, auto-select it
-        if (role === 'teacher' && allowedSubjects.length === 1) {
-            const subjSelect = document.getElementById('grade-subject-select');
-            if (subjSelect) subjSelect.value = allowedSubjects[0].id;
+    // Weekly timetable of a class (mode 'class', key "level|classroom") or of a teacher (mode 'teacher', key = teacher id).
+    // Principals edit the class grids; teachers only see their own grid.
+    renderTimetable(container, mode = 'class', key = '') {
+        const role = sessionStorage.getItem('edutrack_role');
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        if (role === 'teacher') {
+            mode = 'teacher';
+            key = user.id;
         }
-    },
 
-    renderPrincipalSubjectSummary(containerId, term, level, classroom) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
+        const teachers = Storage.getTeachers();
+        const classes = this.getClassList(Storage.getStudents());
+        const entries = Storage.getTimetable();
+        const context = { entries, teachers };
+        const classLabel = (e) => `${e.level}${e.classroom || ''}`;
+
+        const conflicts = entries
+            .map(e => ({ entry: e, messages: Storage.getTimetableConflicts(e, context) }))
+            .filter(x => x.messages.length > 0);
+
+        const keyOptions = mode === 'class'
+            ? classes.map(c => {
+                const val = `${c.level}|${c.classroom || ''}`;
+                return `<option value="${val}" ${val === key ? 'selected' : ''}>${c.level}${c.classroom || ''}</option>`;
+            })
+            : [...teachers].sort((a, b) => a.lastName.localeCompare(b.lastName))
+                .map(t => `<option value="${t.id}" ${t.id === key ? 'selected' : ''}>${t.lastName} ${t.firstName}</option>`);
 
-        const students = Storage.getStudents().filter(s =>
-            s.level === level && (!classroom || String(s.classroom) === String(classroom))
-        );
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div class="search-box"></div>
+                <div style="display: flex; gap: 12px;">
+                    ${key ? `
+                        <button class="btn btn-outline" onclick="app.printTimetable('${mode}', '${key}')">
+                            <i class="ph ph-printer"></i> Imprimer
+                        </button>
+                    ` : ''}
+                    ${role !== 'teacher' ? `
+                        <button class="btn btn-outline" onclick="app.printTimetable('${mode}', '')">
+                            <i class="ph ph-printer"></i> ${mode === 'class' ? 'Imprimer toutes les classes' : 'Imprimer tous les professeurs'}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
 
-        if (students.length === 0) {
-            container.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 40px;">Aucun élève trouvé dans cette classe.</div>';
-            return;
-        }
+            ${role !== 'teacher' ? `
+                <div class="glass-panel animate-enter" style="margin-bottom: 24px;">
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; align-items: flex-end;">
+                        <div>
+                            <label class="form-label">Vue</label>
+                            <select id="timetable-mode" class="form-input" onchange="app.refreshTimetable(true)">
+                                <option value="class" ${mode === 'class' ? 'selected' : ''}>Par classe</option>
+                                <option value="teacher" ${mode === 'teacher' ? 'selected' : ''}>Par professeur</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">${mode === 'class' ? 'Classe' : 'Professeur'}</label>
+                            <select id="timetable-key" class="form-input" onchange="app.refreshTimetable()">
+                                <option value="">${mode === 'class' ? 'Choisir une classe' : 'Choisir un professeur'}</option>
+                                ${keyOptions.join('')}
+                            </select>
+                        </div>
+                    </div>
+                </div>
+            ` : ''}
+
+            ${!key ? `
+                <div class="glass-panel animate-enter" style="text-align: center; padding: 60px; color: var(--text-muted);">
+                    <i class="ph ph-calendar-blank" style="font-size: 48px; margin-bottom: 16px; opacity: 0.5;"></i>
+                    <p style="font-size: 16px;">Sélectionnez ${mode === 'class' ? 'une classe' : 'un professeur'} pour afficher son emploi du temps.</p>
+                </div>
+            ` : `
+                <div class="glass-panel table-container animate-enter">
+                    ${this.timetableGridHtml(mode, key, { entries, teachers, conflicts, editable: role === 'principal' && mode === 'class' })}
+                </div>
+            `}
+
+            ${role === 'principal' ? `
+                <div class="glass-panel animate-enter" style="margin-top: 24px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                        <h3><i class="ph ph-warning" style="color: #f87171;"></i> Conflits</h3>
+                        <span class="status-badge ${conflicts.length > 0 ? 'status-danger' : 'status-valid'}">${conflicts.length} créneau(x)</span>
+                    </div>
+                    ${conflicts.length === 0 ? '<p style="color: var(--text-muted);">Aucun conflit dans l\'emploi du temps.</p>' : conflicts.map(({ entry, messages }) => {
+            const period = TIMETABLE_PERIODS.find(p => p.id === entry.periodId) || {};
+            return `
+                            <div style="display: flex; justify-content: space-between; gap: 12px; padding: 10px 0; border-bottom: 1px solid var(--border-color); cursor: pointer;" onclick="app.showTimetable('class', '${entry.level}|${entry.classroom || ''}')">
+                                <span style="font-weight: 600; white-space: nowrap;">${classLabel(entry)} · ${entry.day} ${period.start || ''}</span>
+                                <span style="color: #f87171; text-align: right;">${messages.join('<br>')}</span>
+                            </div>
+                        `;
+        }).join('')}
+                </div>
+            ` : ''}
+        `;
+    },
 
+    // Days x periods grid. `printable` switches to the black-on-white print styles.
+    timetableGridHtml(mode, key, { entries, teachers, conflicts = [], editable = false, printable = false }) {
         const subjects = Storage.getSubjects();
+        const [level, classroom] = mode === 'class' ? key.split('|') : [];
+        const mine = entries.filter(e => mode === 'class'
+            ? e.level === level && String(e.classroom || '') === String(classroom || '')
+            : e.teacherId === key);
+        const border = printable ? '1px solid black' : '1px solid var(--border-color)';
+
+        const cellHtml = (day, period) => {
+            const entry = mine.find(e => e.day === day && e.periodId === period.id);
+            const conflict = entry && !printable ? conflicts.find(c => c.entry.id === entry.id) : null;
+            const clickable = editable ? `onclick="app.showTimetableSlot('${level}', '${classroom || ''}', '${day}', '${period.id}')" style="cursor: pointer; border: ${border}; padding: 6px; vertical-align: top; height: 56px;${conflict ? ' outline: 2px solid #f87171; outline-offset: -2px;' : ''}"` : `style="border: ${border}; padding: 6px; vertical-align: top; height: 56px;${conflict ? ' outline: 2px solid #f87171; outline-offset: -2px;' : ''}"`;
+            if (!entry) return `<td ${clickable}>${editable ? '<span style="color: var(--text-muted); font-size: 11px;">+</span>' : ''}</td>`;
+
+            const subject = subjects.find(x => x.id === entry.subjectId);
+            const teacher = teachers.find(t => t.id === entry.teacherId);
+            const secondLine = mode === 'class'
+                ? (teacher ? `${teacher.lastName} ${teacher.firstName}` : '<em>Non attribué</em>')
+                : `${entry.level}${entry.classroom || ''}`;
+            return `
+                <td ${clickable} ${conflict ? `title="${conflict.messages.join(' / ')}"` : ''}>
+                    <div style="font-weight: 600; font-size: 12px;">${conflict ? '<i class="ph ph-warning" style="color: #f87171;"></i> ' : ''}${subject ? subject.name : '-'}</div>
+                    <div style="font-size: 11px;">${secondLine}</div>
+                    ${entry.room ? `<div style="font-size: 11px; ${printable ? '' : 'color: var(--text-muted);'}">Salle ${entry.room}</div>` : ''}
+                </td>
+            `;
+        };
 
-        // Prepare Data Structure: Grades per Subject per Student
-        // We need efficient lookup
-        const matrix = {}; // { studentId: { subjectId: average } }
-        const subjectAverages = {}; // { subjectId: { sum: 0, count: 0 } }
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px; table-layout: fixed;">
+                <thead>
+                    <tr>
+                        <th style="border: ${border}; padding: 6px; width: 90px;">Horaire</th>
+                        ${TIMETABLE_DAYS.map(day => `<th style="border: ${border}; padding: 6px;">${day}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${TIMETABLE_PERIODS.map(period => `
+                        <tr>
+                            <td style="border: ${border}; padding: 6px; text-align: center; font-weight: 600;">${period.start}<br>${period.end}</td>
+                            ${TIMETABLE_DAYS.map(day => cellHtml(day, period)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
 
-        subjects.forEach(subj => {
-            const grades = Storage.getGrades(subj.id, term);
-            subjectAverages[subj.id] = { sum: 0, count: 0 };
+    showTimetableSlotModal(level, classroom, day, periodId) {
+        const period = TIMETABLE_PERIODS.find(p => p.id === periodId);
+        const entries = Storage.getTimetable();
+        const entry = entries.find(e => e.day === day && e.periodId === periodId &&
+            e.level === level && String(e.classroom || '') === String(classroom || '')) || {};
+        const subjects = Storage.getSubjects();
+        const teachers = [...Storage.getTeachers()].sort((a, b) => a.lastName.localeCompare(b.lastName));
+        const rooms = [...new Set(entries.map(e => e.room).filter(Boolean))].sort();
 
-            grades.forEach(g => {
-                if (!matrix[g.studentId]) matrix[g.studentId] = {};
-                matrix[g.studentId][subj.id] = g.average;
+        const isAssigned = (t) => Storage.getTeacherClasses(t).some(c => c.level === level && String(c.division || '') === String(classroom || ''));
 
-                // For Class Avg
-                if (students.some(s => s.id === g.studentId)) { // Ensure student is in this class
-                    const val = parseFloat(g.average);
-                    if (!isNaN(val)) {
-                        subjectAverages[subj.id].sum += val;
-                        subjectAverages[subj.id].count++;
-                    }
-                }
-            });
-        });
+        const modalHtml = `
+            <div class="glass-panel" style="width: 450px; max-width: 95%; margin: 40px auto;">
+                <h3 style="margin-bottom: 8px;">${level}${classroom || ''} - ${day} ${period.start} - ${period.end}</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">Les professeurs marqués * ne sont pas affectés à cette classe.</p>
+                <form onsubmit="app.handleSaveTimetableSlot(event)">
+                    <input type="hidden" name="level" value="${level}">
+                    <input type="hidden" name="classroom" value="${classroom || ''}">
+                    <input type="hidden" name="day" value="${day}">
+                    <input type="hidden" name="periodId" value="${periodId}">
+                    <div class="form-group">
+                        <label class="form-label">Matière</label>
+                        <select name="subjectId" class="form-input" required>
+                            <option value="">Choisir une matière</option>
+                            ${subjects.map(subj => `<option value="${subj.id}" ${subj.id === entry.subjectId ? 'selected' : ''}>${subj.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Professeur</label>
+                        <select name="teacherId" class="form-input">
+                            <option value="">Non attribué</option>
+                            ${teachers.map(t => {
+            const taught = subjects.filter(x => Storage.getTeacherSubjectIds(t).includes(x.id)).map(x => x.name).join(', ');
+            return `<option value="${t.id}" ${t.id === entry.teacherId ? 'selected' : ''}>${t.lastName} ${t.firstName}${taught ? ` (${taught})` : ''}${isAssigned(t) ? '' : ' *'}</option>`;
+        }).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Salle</label>
+                        <input type="text" name="room" class="form-input" list="timetable-rooms" value="${entry.room || ''}" placeholder="Ex: 12, Labo, CDI">
+                        <datalist id="timetable-rooms">
+                            ${rooms.map(r => `<option value="${r}">`).join('')}
+                        </datalist>
+                    </div>
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        ${entry.id ? `<button type="button" class="btn btn-outline" style="color: #f87171; margin-right: auto;" onclick="app.clearTimetableSlot('${entry.id}')">Libérer</button>` : ''}
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
 
-        // Calculate Student General Averages (Row)
-        students.forEach(s => {
-            let sum = 0;
-            let count = 0;
-            subjects.forEach(subj => {
-                const val = parseFloat(matrix[s.id]?.[subj.id]);
-                if (!isNaN(val)) {
-                    sum += val;
-                    count++;
-                }
-            });
-            s.generalAvg = count > 0 ? (sum / count).toFixed(2) : '-';
-        });
+    // Printable grids: one page per class / teacher (every one when `key` is empty)
+    renderTimetablePrintModal(mode, key) {
+        const teachers = Storage.getTeachers();
+        const entries = Storage.getTimetable();
 
-        // Render Matrix
-        let html = `
-            <div class="glass-panel table-container" style="overflow-x: auto;">
-                <div style="margin-bottom: 16px;">
-                    <h3>Bulletin Récapitulatif</h3>
-                    <p style="color: var(--text-muted); font-size: 13px;">Classe : ${level}${classroom || ''} - ${term}</p>
+        const keys = key ? [key] : mode === 'class'
+            ? this.getClassList(Storage.getStudents()).map(c => `${c.level}|${c.classroom || ''}`)
+            : [...teachers].sort((a, b) => a.lastName.localeCompare(b.lastName)).map(t => t.id);
+
+        const titleOf = (k) => {
+            if (mode === 'class') return `Classe ${k.replace('|', '')}`;
+            const t = teachers.find(x => x.id === k);
+            return t ? `Professeur ${t.lastName} ${t.firstName}` : '';
+        };
+
+        const html = `
+            <div class="glass-panel" style="width: 1000px; max-width: 95%; margin: 20px auto;">
+                <div class="no-print" style="display: flex; justify-content: flex-end; gap: 10px; margin-bottom: 20px;">
+                    <button class="btn btn-primary" onclick="window.print()">
+                        <i class="ph ph-printer"></i> Imprimer
+                    </button>
+                    <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
                 </div>
-                <table class="data-table" style="font-size: 13px;">
-                    <thead>
-                        <tr>
-                            <th style="min-width: 150px; position: sticky; left: 0; background: var(--surface); z-index: 10;">Élève</th>
-                            ${subjects.map(subj => `
-                                <th style="text-align: center; cursor: pointer; color: var(--primary);" 
-                                    onclick="app.selectSubjectAndRefresh('${subj.id}')"
-                                    title="Voir les détails pour ${subj.name}">
-                                    ${subj.name} <i class="ph-bold ph-arrow-right" style="font-size: 10px;"></i>
-                                </th>
-                            `).join('')}
-                            <th style="text-align: center; font-weight: bold;">Moy. Gén.</th>
-                        </tr>
-                    </thead>
-                    <tbody>
+                ${keys.length === 0 ? '<p>Aucun emploi du temps à imprimer.</p>' : keys.map((k, i) => `
+                    <div style="background: white; color: black; padding: 30px; border-radius: 4px; margin-bottom: 20px; ${i < keys.length - 1 ? 'page-break-after: always;' : ''}">
+                        <h2 style="margin: 0 0 4px 0; font-size: 18px; text-transform: uppercase;">${this.getCollegeName()}</h2>
+                        <p style="margin: 0 0 16px 0; font-size: 14px;">Emploi du temps - ${titleOf(k)} - ${Storage.getSchoolYear()}</p>
+                        ${this.timetableGridHtml(mode, k, { entries, teachers, printable: true })}
+                    </div>
+                `).join('')}
+            </div>
         `;
+        this.renderModal(html);
+    },
 
-        students.forEach(s => {
-            html += `
+    renderFees(container, filters = {}) {
+        const students = Storage.getStudents();
+        const allStudents = Storage.getStudents(true);
+        const fees = Storage.getFees();
+        const schoolYear = Storage.getSchoolYear();
+
+        const allClasses = this.getClassList(students);
+
+        const inClass = (s) => !filters.classValue || `${s.level}|${s.classroom || ''}` === filters.classValue;
+        const classStudents = students.filter(inClass).sort((a, b) => a.lastName.localeCompare(b.lastName));
+
+        // --- Ledger (oldest first so the running total reads top to bottom) ---
+        const ledger = fees.filter(fee => {
+            const student = allStudents.find(s => s.id === fee.studentId);
+            if (filters.classValue && (!student || !inClass(student))) return false;
+            if (filters.studentId && fee.studentId !== filters.studentId) return false;
+            if (filters.month && fee.month !== filters.month) return false;
+            const day = (fee.date || '').split('T')[0];
+            if (filters.dateFrom && day < filters.dateFrom) return false;
+            if (filters.dateTo && day > filters.dateTo) return false;
+            return true;
+        }).sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        let runningTotal = 0;
+        const ledgerRows = ledger.map(fee => {
+            const student = allStudents.find(s => s.id === fee.studentId);
+            const amount = parseFloat(fee.amount) || 0;
+            runningTotal += amount;
+            return `
                 <tr>
-                    <td style="font-weight: 600; position: sticky; left: 0; background: var(--surface);">${s.lastName} ${s.firstName}</td>
-                    ${subjects.map(subj => {
-                const avg = matrix[s.id]?.[subj.id];
-                const val = parseFloat(avg);
-                let color = 'var(--text-muted)';
-                let weight = '400';
+                    <td>${new Date(fee.date).toLocaleDateString('fr-FR')}</td>
+                    <td>${this.studentName(student)}</td>
+                    <td>${student ? `${student.level}${student.classroom || ''}` : '-'}</td>
+                    <td>${fee.label || fee.month || '-'} <span style="font-size: 11px; color: var(--text-muted);">${Storage.getFeeSchoolYear(fee)}</span></td>
+                    <td style="font-weight: 600; color: #4ade80;">${amount} FD</td>
+                    <td style="color: var(--text-muted);">${runningTotal} FD</td>
+                    <td>
+                        <button class="btn-icon" style="width: 32px; height: 32px; color: var(--primary);" onclick="app.showFeeReceipt('${fee.id}')" title="Reçu ${Storage.formatReceiptNumber(fee.receiptNumber)}">
+                            <i class="ph ph-receipt"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
 
-                if (!isNaN(val)) {
-                    if (val >= 10) { color = '#4ade80'; weight = '700'; }
-                    else if (val >= 8) { color = '#fbbf24'; weight = '700'; }
-                    else { color = '#f87171'; weight = '700'; }
-                }
+        // --- Per-student balance for the current school year ---
+        const balanceStudents = filters.studentId
+            ? students.filter(s => s.id === filters.studentId)
+            : (filters.classValue ? classStudents : []);
 
-                return `<td style="text-align: center; color: ${color}; font-weight: ${weight};">${!isNaN(val) ? avg : '-'}</td>`;
-            }).join('')}
-                    <td style="text-align: center; font-weight: 800; color: white; background: rgba(255,255,255,0.05);">${s.generalAvg}</td>
+        const feeContext = { schedule: Storage.getFeeSchedule(), fees, students };
+        const balanceRows = balanceStudents.map(s => {
+            const status = Storage.getStudentFeeStatus(s, schoolYear, feeContext);
+            const paidMonths = status.months.filter(m => m.remaining === 0);
+            const openLines = [...status.months.map(m => ({ ...m, label: m.month })), ...status.extras].filter(l => l.remaining > 0);
+            return `
+                <tr>
+                    <td>
+                        <div style="font-weight: 600;">${s.lastName} ${s.firstName}</div>
+                        <div style="font-size: 11px; color: var(--text-muted);">Mensualité : ${status.monthlyDue} FD</div>
+                    </td>
+                    <td><span class="status-badge status-valid">${paidMonths.length}/${SCHOOL_MONTHS.length}</span></td>
+                    <td style="font-weight: 600;">${status.totalPaid} FD</td>
+                    <td style="font-weight: 600; color: ${status.remaining > 0 ? '#f87171' : '#4ade80'};">${status.remaining} FD</td>
+                    <td style="font-size: 12px;">
+                        ${openLines.length === 0
+                    ? '<span style="color: #4ade80;">À jour</span>'
+                    : openLines.map(l => `<span class="status-badge ${l.paid > 0 ? 'status-warning' : 'status-danger'}" style="font-size: 10px; display: inline-block; margin: 2px;" title="Reste ${l.remaining} FD">${l.label}${l.paid > 0 ? ` (reste ${l.remaining})` : ''}</span>`).join('')}
+                    </td>
                 </tr>
             `;
-        });
+        }).join('');
 
-        // Footer Row: Class Averages
-        html += `
-                <tr style="border-top: 2px solid rgba(255,255,255,0.1);">
-                    <td style="font-weight: bold; text-align: right; position: sticky; left: 0; background: var(--surface);">Moyenne Classe</td>
-                    ${subjects.map(subj => {
-            const data = subjectAverages[subj.id];
-            const avg = data.count > 0 ? (data.sum / data.count).toFixed(2) : '-';
-            const val = parseFloat(avg);
-            let color = 'var(--text-muted)'; // Default grey
-            if (!isNaN(val)) {
-                if (val >= 10) color = '#4ade80'; // Green
-                else if (val >= 8) color = '#fbbf24'; // Orange
-                else color = '#f87171'; // Red
-            }
-            return `<td style="text-align: center; font-weight: bold; color: ${color};">${avg}</td>`;
+        const optionSelected = (value, current) => value === current ? 'selected' : '';
+
+        container.innerHTML = `
+            <div class="page-header-area">
+                <h3 style="margin: 0;">Frais Scolaires</h3>
+                <div class="search-box"></div>
+                <div style="display: flex; gap: 12px;">
+                    <button class="btn btn-outline" onclick="app.showOutstandingFees()">
+                        <i class="ph ph-warning-circle"></i>
+                        Impayés
+                    </button>
+                    <button class="btn btn-outline" onclick="app.showFeeScheduleModal()">
+                        <i class="ph ph-sliders"></i>
+                        Barème
+                    </button>
+                    <button class="btn btn-primary" onclick="app.showAddFeeModal()">
+                        <i class="ph ph-money"></i>
+                        Nouveau Paiement
+                    </button>
+                </div>
+            </div>
+
+            <div class="glass-panel animate-enter" style="margin-bottom: 24px;">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 16px; align-items: flex-end;">
+                    <div>
+                        <label class="form-label">Classe</label>
+                        <select id="fee-class-filter" class="form-input" onchange="app.filterFees(true)">
+                            <option value="">Toutes les classes</option>
+                            ${allClasses.map(c => {
+            const val = `${c.level}|${c.classroom || ''}`;
+            return `<option value="${val}" ${optionSelected(val, filters.classValue)}>${c.level}${c.classroom || ''}</option>`;
         }).join('')}
-                    <td style="background: rgba(255,255,255,0.05);"></td>
-                </tr>
-        `;
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Élève</label>
+                        <select id="fee-student-filter" class="form-input" onchange="app.filterFees()">
+                            <option value="">Tous les élèves</option>
+                            ${classStudents.map(s => `<option value="${s.id}" ${optionSelected(s.id, filters.studentId)}>${s.lastName} ${s.firstName}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Mois</label>
+                        <select id="fee-month-filter" class="form-input" onchange="app.filterFees()">
+                            <option value="">Tous les mois</option>
+                            ${SCHOOL_MONTHS.map(m => `<option value="${m}" ${optionSelected(m, filters.month)}>${m}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Du</label>
+                        <input type="date" id="fee-date-from" class="form-input" value="${filters.dateFrom || ''}" onchange="app.filterFees()">
+                    </div>
+                    <div>
+                        <label class="form-label">Au</label>
+                        <input type="date" id="fee-date-to" class="form-input" value="${filters.dateTo || ''}" onchange="app.filterFees()">
+                    </div>
+                </div>
+            </div>
 
-        html += `   </tbody>
+            <div class="glass-panel table-container animate-enter">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                    <h3>Journal des Paiements (${ledger.length})</h3>
+                    <span style="font-weight: 700; color: #4ade80;">Total : ${runningTotal} FD</span>
+                </div>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Élève</th>
+                            <th>Classe</th>
+                            <th>Mois</th>
+                            <th>Montant</th>
+                            <th>Cumul</th>
+                            <th>Reçu</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ledger.length === 0 ? '<tr><td colspan="7" style="text-align:center; padding: 24px; color: var(--text-muted);">Aucun paiement ne correspond aux filtres.</td></tr>' : ledgerRows}
+                    </tbody>
                 </table>
             </div>
-            <div style="margin-top: 12px; font-size: 12px; color: var(--text-muted); text-align: right;">
-                <i class="ph-bold ph-info"></i> Cliquez sur le nom d'une matière pour saisir/voir les notes détaillées.
+
+            <div class="glass-panel table-container animate-enter" style="margin-top: 24px;">
+                <h3 style="margin-bottom: 16px;">Situation par Élève - Année ${schoolYear}</h3>
+                ${balanceStudents.length === 0 ? `
+                    <p style="color: var(--text-muted); text-align: center; padding: 24px;">Sélectionnez une classe ou un élève pour afficher les mois payés et impayés.</p>
+                ` : `
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Élève</th>
+                                <th>Mois Soldés</th>
+                                <th>Total Versé</th>
+                                <th>Reste Dû</th>
+                                <th>Impayés</th>
+                            </tr>
+                        </thead>
+                        <tbody>${balanceRows}</tbody>
+                    </table>
+                `}
             </div>
         `;
-        container.innerHTML = html;
     },
 
-    renderGradesTable(containerId, subjectId, term, level, classroom) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
+    renderOutstandingFees(container, classValue = '') {
+        const outstanding = Storage.getOutstandingFees();
+        const dueMonths = Storage.getDueMonths();
 
-        let students = Storage.getStudents();
-        const role = sessionStorage.getItem('edutrack_role');
-        const isAdmin = role === 'admin';
+        // Group by level + division
+        const groups = {};
+        outstanding.forEach(entry => {
+            const key = `${entry.student.level}|${entry.student.classroom || ''}`;
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(entry);
+        });
+        const classKeys = Object.keys(groups).sort((a, b) => {
+            const [la, ca] = a.split('|');
+            const [lb, cb] = b.split('|');
+            if (la !== lb) return la.localeCompare(lb);
+            return parseInt(ca || 0) - parseInt(cb || 0);
+        });
+        const shownKeys = classValue ? classKeys.filter(k => k === classValue) : classKeys;
+        const totalAmount = outstanding.reduce((total, entry) => total + entry.amount, 0);
 
-        // Filter students
-        if (level) {
-            students = students.filter(s => s.level === level);
-        }
-        if (classroom) {
-            students = students.filter(s => s.classroom === classroom);
-        }
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div style="display: flex; gap: 12px; align-items: center;">
+                    <button class="btn btn-outline" onclick="app.navigate('fees')"><i class="ph ph-arrow-left"></i> Retour</button>
+                    <select id="unpaid-class-filter" class="form-input" style="width: 220px;" onchange="app.showOutstandingFees(this.value)">
+                        <option value="">Toutes les classes</option>
+                        ${classKeys.map(k => `<option value="${k}" ${k === classValue ? 'selected' : ''}>${k.replace('|', '')} (${groups[k].length})</option>`).join('')}
+                    </select>
+                </div>
+                <div style="display: flex; gap: 12px;">
+                    <button class="btn btn-outline" onclick="app.printFeeReminders('calls')">
+                        <i class="ph ph-phone"></i>
+                        Liste d'appels
+                    </button>
+                    <button class="btn btn-primary" onclick="app.printFeeReminders('letters')">
+                        <i class="ph ph-envelope"></i>
+                        Lettres de relance
+                    </button>
+                </div>
+            </div>
 
-        const existingGrades = Storage.getGrades(subjectId, term); // array of objects
+            <div class="glass-panel animate-enter" style="margin-bottom: 24px; display: flex; gap: 32px;">
+                <div>
+                    <p style="color: var(--text-muted); font-size: 13px;">Élèves en impayé</p>
+                    <p style="font-size: 24px; font-weight: 700; color: #f87171;">${outstanding.length}</p>
+                </div>
+                <div>
+                    <p style="color: var(--text-muted); font-size: 13px;">Montant attendu</p>
+                    <p style="font-size: 24px; font-weight: 700;">${totalAmount} FD</p>
+                </div>
+                <div>
+                    <p style="color: var(--text-muted); font-size: 13px;">Mois échus</p>
+                    <p style="font-size: 14px; font-weight: 600; margin-top: 8px;">${dueMonths.length > 0 ? `${dueMonths[0]} → ${dueMonths[dueMonths.length - 1]}` : 'Aucun'}</p>
+                </div>
+            </div>
 
-        container.innerHTML = `
-            <form onsubmit="app.handleSaveGrades(event)">
-                <input type="hidden" name="subjectId" value="${subjectId}">
-                <input type="hidden" name="term" value="${term}">
-                
-                <div class="glass-panel table-container">
-                    <div style="display: flex; justify-content: space-between; margin-bottom: 16px; align-items: center;">
-                        <h3>Liste des élèves (${students.length})</h3>
-                        ${!isAdmin ? '<button type="submit" class="btn btn-primary">Enregistrer les notes</button>' :
-                '<div style="display:flex; gap:12px; align-items:center;">' +
-                '<button type="button" class="btn btn-outline" onclick="app.clearSubjectAndRefresh()"><i class="ph ph-arrow-left"></i> Retour au sommaire</button>' +
-                '<span class="status-badge status-neutral" style="background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2);"><i class="ph ph-lock"></i> Lecture Seule (Principal)</span>' +
-                '</div>'}
-                    </div>
+            ${shownKeys.length === 0 ? `
+                <div class="glass-panel animate-enter" style="text-align: center; padding: 40px; color: var(--text-muted);">
+                    <i class="ph ph-check-circle" style="font-size: 48px; margin-bottom: 16px; opacity: 0.5;"></i>
+                    <p>Aucun impayé à ce jour.</p>
+                </div>
+            ` : shownKeys.map(key => `
+                <div class="glass-panel table-container animate-enter" style="margin-bottom: 24px;">
+                    <h3 style="margin-bottom: 16px;">${key.replace('|', '')} <span style="font-size: 13px; color: var(--text-muted); font-weight: normal;">${groups[key].length} élève(s)</span></h3>
                     <table class="data-table">
                         <thead>
                             <tr>
                                 <th>Élève</th>
-                                <th>Classe</th>
-                                <th style="width: 60px;">D1</th>
-                                <th style="width: 60px;">D2</th>
-                                <th style="width: 60px;">D3</th>
-                                <th style="width: 60px;">D4</th>
-                                <th style="width: 60px;">D5</th>
-                                <th style="width: 80px;">Moyenne</th>
-                                <th>Appréciation</th>
-                                <th>Compétences</th>
+                                <th>Parent (Tél)</th>
+                                <th>Mois Impayés</th>
+                                <th>Montant Dû</th>
                             </tr>
                         </thead>
                         <tbody>
-                            ${students.length === 0 ? '<tr><td colspan="8" style="text-align:center;">Aucun élève trouvé pour ce niveau/division.</td></tr>' : ''}
-                            ${students.map(s => {
-                    const gradeRecord = existingGrades.find(g => g.studentId === s.id);
-                    // Ensure values is an array of 5 elements
-                    const values = gradeRecord && Array.isArray(gradeRecord.values)
-                        ? gradeRecord.values
-                        : (gradeRecord && gradeRecord.value ? [gradeRecord.value, '', '', '', ''] : ['', '', '', '', '']);
-                    // Fill up to 5 if partial
-                    while (values.length < 5) values.push('');
+                            ${groups[key].sort((a, b) => a.student.lastName.localeCompare(b.student.lastName)).map(entry => `
+                                <tr>
+                                    <td>
+                                        <div style="font-weight: 600;">${entry.student.lastName} ${entry.student.firstName}</div>
+                                        <div style="font-size: 12px; color: var(--text-muted);">ID: ${entry.student.studentId}</div>
+                                    </td>
+                                    <td>${entry.student.parentPhone || '-'}</td>
+                                    <td style="font-size: 12px;">
+                                        ${entry.months.map(m => `<span class="status-badge ${m.paid > 0 ? 'status-warning' : 'status-danger'}" style="font-size: 10px; display: inline-block; margin: 2px;">${m.month}</span>`).join('')}
+                                    </td>
+                                    <td style="font-weight: 600; color: #f87171;">${entry.amount} FD</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `).join('')}
+        `;
+    },
 
-                    const average = gradeRecord ? gradeRecord.average : '';
+    renderFeeRemindersModal(entries, mode) {
+        const collegeName = this.getCollegeName();
+        const today = new Date().toLocaleDateString('fr-FR');
 
-                    return `
-                                    <tr>
-                                        <td>
-                                            <div style="font-weight: 600;">${s.lastName} ${s.firstName}</div>
-                                        </td>
-                                        <td>
-                                            <span class="status-badge status-valid">${s.level} ${s.classroom || ''}</span>
-                                        </td>
-                                        ${values.map((val, idx) => `
-                                            <td>
-                                                <input type="number" step="0.5" min="0" max="20" 
-                                                    name="grade_${s.id}_${idx}" 
-                                                    value="${val}" 
-                                                    class="form-input" 
-                                                    style="width: 50px; padding: 6px; text-align: center; ${isAdmin ? 'background: transparent; border: none; font-weight: bold; color:white;' : ''}"
-                                                    oninput="app.calculateRowAverage('${s.id}')"
-                                                    ${isAdmin ? 'readonly disabled' : ''}
-                                                >
-                                            </td>
-                                        `).join('')}
-                                        <td>
-                                            <input type="text" 
-                                                id="avg_${s.id}"
-                                                name="average_${s.id}"
-                                                value="${average}"
-                                                readonly
-                                                class="form-input"
-                                                style="width: 60px; padding: 6px; text-align: center; font-weight: bold; background: rgba(255,255,255,0.1);"
-                                            >
-                                        </td>
-                                        <td>
-                                            <input type="text"
-                                                name="appreciation_${s.id}"
-                                                value="${gradeRecord && gradeRecord.appreciation ? gradeRecord.appreciation : ''}"
-                                                class="form-input"
-                                                placeholder="Commentaire..."
-                                                style="width: 100%; padding: 6px; font-size: 12px; ${isAdmin ? 'background: transparent; border: none; color:white;' : ''}"
-                                                ${isAdmin ? 'readonly' : ''}
-                                            >
-                                        </td>
-                                        <td>
-                                            <input type="text"
-                                                name="competence_${s.id}"
-                                                value="${gradeRecord && gradeRecord.competence ? gradeRecord.competence : ''}"
-                                                class="form-input"
-                                                placeholder="Acquis..."
-                                                style="width: 100%; padding: 6px; font-size: 12px; ${isAdmin ? 'background: transparent; border: none; color:white;' : ''}"
-                                                ${isAdmin ? 'readonly' : ''}
-                                            >
-                                        </td>
-                                    </tr>
-                                `;
-                }).join('')}
+        const callList = `
+            <div style="background: white; color: black; padding: 40px; border-radius: 4px;">
+                <h2 style="margin: 0; font-size: 20px; text-transform: uppercase;">${collegeName}</h2>
+                <h3 style="margin: 8px 0 20px 0; font-size: 16px;">Liste d'appels - Frais impayés au ${today}</h3>
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="background: #eee;">
+                            <th style="border: 1px solid black; padding: 6px; text-align: left;">Classe</th>
+                            <th style="border: 1px solid black; padding: 6px; text-align: left;">Élève</th>
+                            <th style="border: 1px solid black; padding: 6px; text-align: left;">Téléphone Parent</th>
+                            <th style="border: 1px solid black; padding: 6px; text-align: left;">Mois</th>
+                            <th style="border: 1px solid black; padding: 6px; text-align: right;">Montant</th>
+                            <th style="border: 1px solid black; padding: 6px; width: 120px;">Suite donnée</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td style="border: 1px solid black; padding: 6px;">${entry.student.level}${entry.student.classroom || ''}</td>
+                                <td style="border: 1px solid black; padding: 6px;">${entry.student.lastName} ${entry.student.firstName}</td>
+                                <td style="border: 1px solid black; padding: 6px; font-weight: bold;">${entry.student.parentPhone || '-'}</td>
+                                <td style="border: 1px solid black; padding: 6px;">${entry.months.map(m => m.month).join(', ')}</td>
+                                <td style="border: 1px solid black; padding: 6px; text-align: right;">${entry.amount} FD</td>
+                                <td style="border: 1px solid black; padding: 6px;"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const letters = entries.map(entry => `
+            <div style="background: white; color: black; padding: 40px; border-radius: 4px; margin-bottom: 20px; page-break-after: always;">
+                <div style="border-bottom: 2px solid black; padding-bottom: 16px; margin-bottom: 24px; display: flex; justify-content: space-between;">
+                    <h2 style="margin: 0; font-size: 20px; text-transform: uppercase;">${collegeName}</h2>
+                    <p style="margin: 0;">Le ${today}</p>
+                </div>
+                <p style="margin-bottom: 16px;"><strong>Aux parents de :</strong> ${entry.student.lastName} ${entry.student.firstName} (${entry.student.level}${entry.student.classroom || ''})<br>
+                <strong>Téléphone :</strong> ${entry.student.parentPhone || '-'}</p>
+                <p style="margin-bottom: 16px; font-weight: bold; text-decoration: underline;">Objet : Rappel de frais de scolarité impayés</p>
+                <p style="margin-bottom: 16px; line-height: 1.6;">Madame, Monsieur,<br><br>
+                Sauf erreur de notre part, les frais de scolarité des mois suivants restent à régler :</p>
+                <ul style="margin: 0 0 16px 24px;">
+                    ${entry.months.map(m => `<li>${m.month} : ${m.remaining} FD${m.paid > 0 ? ` (versé ${m.paid} FD sur ${m.due} FD)` : ''}</li>`).join('')}
+                </ul>
+                <p style="margin-bottom: 16px;"><strong>Total dû : ${entry.amount} FD</strong></p>
+                <p style="line-height: 1.6;">Nous vous remercions de bien vouloir régulariser cette situation auprès de l'administration dans les meilleurs délais.</p>
+                <p style="text-align: right; margin-top: 40px; font-weight: bold; text-decoration: underline;">La Direction</p>
+            </div>
+        `).join('');
+
+        const html = `
+            <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 20px auto; color: var(--text-main); position: relative;">
+                <div class="no-print" style="display: flex; justify-content: flex-end; gap: 10px; margin-bottom: 16px;">
+                    <button class="btn btn-primary" onclick="window.print()">
+                        <i class="ph ph-printer"></i> Imprimer
+                    </button>
+                    <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                </div>
+                ${entries.length === 0 ? '<p style="text-align: center; color: var(--text-muted);">Aucun impayé à imprimer.</p>' : (mode === 'calls' ? callList : letters)}
+            </div>
+        `;
+        this.renderModal(html);
+    },
+
+    renderReceiptModal(fee) {
+        const student = Storage.getStudents(true).find(s => s.id === fee.studentId);
+        const collegeName = this.getCollegeName();
+        const covered = fee.label || fee.month || '-';
+        const paidOn = new Date(fee.date);
+
+        const html = `
+            <div class="glass-panel" style="width: 600px; max-width: 95%; margin: 20px auto; color: var(--text-main); position: relative;">
+                <div class="no-print" style="display: flex; justify-content: flex-end; gap: 10px; margin-bottom: 16px;">
+                    <button class="btn btn-primary" onclick="window.print()">
+                        <i class="ph ph-printer"></i> Imprimer
+                    </button>
+                    <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                </div>
+
+                <div id="receipt-content" style="background: white; color: black; padding: 40px; border-radius: 4px;">
+                    <!-- Header -->
+                    <div style="border-bottom: 2px solid black; padding-bottom: 20px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-start;">
+                        <div>
+                            <h2 style="margin: 0; font-size: 22px; font-weight: bold; text-transform: uppercase;">${collegeName}</h2>
+                            <p style="margin: 4px 0 0 0; font-size: 14px;">Année Scolaire ${Storage.getFeeSchoolYear(fee).replace('-', ' - ')}</p>
+                        </div>
+                        <div style="text-align: right;">
+                            <h3 style="margin: 0; font-size: 18px;">REÇU DE PAIEMENT</h3>
+                            <p style="margin: 4px 0 0 0; font-weight: bold; font-size: 16px;">${Storage.formatReceiptNumber(fee.receiptNumber)}</p>
+                        </div>
+                    </div>
+
+                    <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 30px;">
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; width: 40%; background: #f9f9f9;"><strong>Nom & Prénom</strong></td>
+                            <td style="border: 1px solid black; padding: 8px;">${this.studentName(student)}</td>
+                        </tr>
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; background: #f9f9f9;"><strong>Matricule</strong></td>
+                            <td style="border: 1px solid black; padding: 8px;">${student ? student.studentId : '-'}</td>
+                        </tr>
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; background: #f9f9f9;"><strong>Classe</strong></td>
+                            <td style="border: 1px solid black; padding: 8px;">${student ? `${student.level} ${student.classroom || ''}` : '-'}</td>
+                        </tr>
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; background: #f9f9f9;"><strong>Période / Frais réglés</strong></td>
+                            <td style="border: 1px solid black; padding: 8px;">${covered}</td>
+                        </tr>
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; background: #f9f9f9;"><strong>Montant versé</strong></td>
+                            <td style="border: 1px solid black; padding: 8px; font-size: 18px; font-weight: 800;">${parseFloat(fee.amount) || 0} FD</td>
+                        </tr>
+                        <tr>
+                            <td style="border: 1px solid black; padding: 8px; background: #f9f9f9;"><strong>Date du paiement</strong></td>
+                            <td style="border: 1px solid black; padding: 8px;">${paidOn.toLocaleDateString('fr-FR')} à ${paidOn.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}</td>
+                        </tr>
+                    </table>
+
+                    <div style="display: flex; justify-content: space-between; margin-top: 40px;">
+                        <div style="text-align: center; width: 200px;">
+                            <p style="margin-bottom: 50px; font-weight: bold; text-decoration: underline;">Le Payeur</p>
+                        </div>
+                        <div style="text-align: center; width: 200px;">
+                            <p style="margin-bottom: 50px; font-weight: bold; text-decoration: underline;">Cachet de l'École</p>
+                        </div>
+                    </div>
+
+                    <div style="margin-top: 20px; border-top: 1px solid #ccc; padding-top: 10px; font-size: 10px; text-align: center; color: #777;">
+                        Reçu édité le ${new Date().toLocaleDateString()} via EduTrack - Système de Gestion Scolaire
+                    </div>
+                </div>
+            </div>
+        `;
+        this.renderModal(html);
+    },
+
+    renderSubjects(container) {
+        const subjects = Storage.getSubjects();
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div class="search-box"></div>
+                <div style="display: flex; gap: 12px;">
+                    <button class="btn btn-outline" onclick="app.showCoefficientsModal()">
+                        <i class="ph ph-scales"></i>
+                        Coefficients
+                    </button>
+                    <button class="btn btn-outline" onclick="app.showWeeklyHoursModal()">
+                        <i class="ph ph-clock"></i>
+                        Volumes Horaires
+                    </button>
+                    <button class="btn btn-primary" onclick="app.showAddSubjectModal()">
+                        <i class="ph ph-plus"></i>
+                        Nouvelle Matière
+                    </button>
+                </div>
+            </div>
+            <div class="glass-panel table-container animate-enter">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Nom de la Matière</th>
+                            <th>Coefficient</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${subjects.length === 0 ? '<tr><td colspan="3" style="text-align:center;">Aucune matière.</td></tr>' : ''}
+                        ${subjects.map(s => `
+                            <tr>
+                                <td>${s.name}</td>
+                                <td>
+                                    ${LEVELS.map(level => `<span class="status-badge" style="display: inline-block; margin: 2px; font-size: 11px; background: rgba(255,255,255,0.05);">${level} : ${Storage.getSubjectCoefficient(s, level)}</span>`).join('')}
+                                </td>
+                                <td>
+                                    <button class="btn-icon" onclick="app.showAddSubjectModal('${s.id}')" title="Modifier"><i class="ph ph-pencil-simple"></i></button>
+                                    <button class="btn-icon" onclick="app.deleteSubject('${s.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderTeachers(container) {
+        const teachers = Storage.getTeachers();
+        const subjects = Storage.getSubjects();
+
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div class="search-box"></div>
+                <div style="display: flex; gap: 12px;">
+                    <button class="btn btn-outline" onclick="app.showTeacherWorkload()">
+                        <i class="ph ph-gauge"></i>
+                        Charge Horaire
+                    </button>
+                    <button class="btn btn-primary" onclick="app.showAddTeacherModal()">
+                        <i class="ph ph-plus"></i>
+                        Nouveau Professeur
+                    </button>
+                </div>
+            </div>
+            <div class="glass-panel table-container animate-enter">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Nom & Prénom</th>
+                            <th>Matière</th>
+                            <th>Info. Contact</th>
+                            <th>Classes</th>
+                            <th>Identification</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${teachers.length === 0 ? '<tr><td colspan="6" style="text-align:center;">Aucun professeur.</td></tr>' : ''}
+                        ${teachers.map(t => {
+            const taught = subjects.filter(s => Storage.getTeacherSubjectIds(t).includes(s.id));
+            const assignments = Storage.getTeacherAssignments(t);
+            const subjectName = (id) => (subjects.find(s => s.id === id) || {}).name || 'Inconnu';
+            const classesTooltip = assignments.map(a => `${a.level}${a.division || ''} : ${subjectName(a.subjectId)}`).join(', ');
+            return `
+                            <tr>
+                                <td>
+                                    <div style="font-weight: 600;">${t.lastName} ${t.firstName}</div>
+                                    <div style="font-size: 11px; color: var(--text-muted);">${t.sex || '-'}</div>
+                                </td>
+                                <td>
+                                    <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                                        ${taught.length > 0
+                    ? taught.map(s => `<span class="status-badge status-warning">${s.name}</span>`).join('')
+                    : '<span class="status-badge status-warning">Inconnu</span>'}
+                                    </div>
+                                </td>
+                                <td>${t.phone || '-'}</td>
+                                <td title="${classesTooltip}">
+                                    <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                                        ${assignments.length > 0
+                    ? assignments.map(a => `<span class="status-badge status-neutral" style="font-size: 10px;">${a.level}${a.division}${taught.length > 1 ? ` · ${subjectName(a.subjectId)}` : ''}</span>`).join('')
+                    : '<span style="color: var(--text-muted); font-size: 11px;">Aucune</span>'}
+                                    </div>
+                                </td>
+                                <td>
+                                    <div style="font-size: 12px;">Login: <strong>${t.username}</strong></div>
+                                    <div style="font-size: 12px;">Mdp: <strong>${t.password}</strong></div>
+                                </td>
+                                <td>
+                                    <button class="btn-icon" onclick="app.resetUserPassword('teacher', '${t.id}')" title="Réinitialiser MDP"><i class="ph ph-arrow-counter-clockwise"></i></button>
+                                    <button class="btn-icon" onclick="app.showAddTeacherModal('${t.id}')" title="Modifier"><i class="ph ph-pencil-simple"></i></button>
+                                    <button class="btn-icon" onclick="app.deleteTeacher('${t.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
+                                </td>
+                            </tr>
+                            `;
+        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderTeacherWorkload(container) {
+        const { teachers, uncovered } = Storage.getTeacherWorkload();
+        const configured = Storage.getSubjects().some(subj => LEVELS.some(level => Storage.getSubjectWeeklyHours(subj, level) > 0));
+        const statuses = {
+            over: { label: 'Surcharge', badge: 'status-danger' },
+            under: { label: 'Sous-service', badge: 'status-warning' },
+            ok: { label: 'Complet', badge: 'status-valid' }
+        };
+        const rows = [...teachers].sort((a, b) => (b.hours - b.quota) - (a.hours - a.quota));
+
+        container.innerHTML = `
+            <div class="page-header-area">
+                <button class="btn btn-outline" onclick="app.navigate('teachers')"><i class="ph ph-arrow-left"></i> Retour</button>
+                <div style="display: flex; gap: 12px;">
+                    <span class="status-badge status-danger">${teachers.filter(t => t.status === 'over').length} en surcharge</span>
+                    <span class="status-badge status-warning">${teachers.filter(t => t.status === 'under').length} en sous-service</span>
+                    <span class="status-badge ${uncovered.length > 0 ? 'status-danger' : 'status-valid'}">${uncovered.length} cours sans professeur</span>
+                </div>
+            </div>
+
+            ${!configured ? `
+                <div class="glass-panel animate-enter" style="margin-bottom: 24px; color: #facc15;">
+                    <i class="ph ph-warning"></i> Aucun volume horaire n'est renseigné : définissez-les dans Matières &gt; Volumes Horaires.
+                </div>
+            ` : ''}
+
+            <form onsubmit="app.handleSaveTeacherQuotas(event)">
+                <div class="glass-panel table-container animate-enter">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 16px; align-items: center;">
+                        <h3>Service Hebdomadaire des Professeurs</h3>
+                        <button type="submit" class="btn btn-primary"><i class="ph ph-check"></i> Enregistrer les quotas</button>
+                    </div>
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Professeur</th>
+                                <th>Matière</th>
+                                <th>Classes (h/sem.)</th>
+                                <th style="text-align: center;">Service</th>
+                                <th style="text-align: center;">Quota</th>
+                                <th style="text-align: center;">Écart</th>
+                                <th style="text-align: center;">Emploi du temps</th>
+                                <th>Statut</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.length === 0 ? '<tr><td colspan="8" style="text-align:center;">Aucun professeur.</td></tr>' : ''}
+                            ${rows.map(r => `
+                                <tr>
+                                    <td style="font-weight: 600;">${r.teacher.lastName} ${r.teacher.firstName}</td>
+                                    <td>${r.subjects.map(subj => subj.name).join(', ') || 'Inconnu'}</td>
+                                    <td>
+                                        <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                                            ${r.classes.length > 0
+                ? r.classes.map(c => `<span class="status-badge status-neutral" style="font-size: 10px;">${c.level}${c.classroom}${r.subjects.length > 1 && c.subject ? ` ${c.subject.name}` : ''} : ${c.hours}h</span>`).join('')
+                : '<span style="color: var(--text-muted); font-size: 11px;">Aucune</span>'}
+                                        </div>
+                                    </td>
+                                    <td style="text-align: center; font-weight: 600;">${r.hours}h</td>
+                                    <td style="text-align: center;">
+                                        <input type="number" name="quota_${r.teacher.id}" class="form-input" style="width: 70px; padding: 6px; text-align: center;" min="0" step="0.5" value="${r.teacher.weeklyQuota !== undefined ? r.teacher.weeklyQuota : ''}" placeholder="${r.quota}">
+                                    </td>
+                                    <td style="text-align: center; color: ${r.status === 'over' ? '#f87171' : r.status === 'under' ? '#facc15' : 'inherit'};">${r.hours - r.quota > 0 ? '+' : ''}${r.hours - r.quota}h</td>
+                                    <td style="text-align: center; color: ${r.scheduledHours !== r.hours ? '#facc15' : 'inherit'};" title="Heures placées dans l'emploi du temps">${r.scheduledHours}h</td>
+                                    <td><span class="status-badge ${statuses[r.status].badge}">${statuses[r.status].label}</span></td>
+                                </tr>
+                            `).join('')}
                         </tbody>
                     </table>
                 </div>
             </form>
+
+            <div class="glass-panel table-container animate-enter" style="margin-top: 24px;">
+                <h3 style="margin-bottom: 16px;"><i class="ph ph-warning" style="color: #f87171;"></i> Classes sans Professeur</h3>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Classe</th>
+                            <th>Matière</th>
+                            <th style="text-align: center;">h/sem.</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${uncovered.length === 0 ? '<tr><td colspan="3" style="text-align:center; padding: 24px; color: var(--text-muted);">Toutes les matières ont un professeur.</td></tr>' : ''}
+                        ${uncovered.map(u => `
+                            <tr>
+                                <td style="font-weight: 600;">${u.level}${u.classroom}</td>
+                                <td>${u.subject.name}</td>
+                                <td style="text-align: center;">${u.hours}h</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderGrades(container) {
+        const subjects = Storage.getSubjects();
+        const students = Storage.getStudents();
+
+        // Extract unique levels and classrooms for filter
+        let levels = ["6ème", "5ème", "4ème", "3ème", "Lycée"];
+        let classrooms = [...new Set(students.map(s => s.classroom).filter(Boolean))].sort();
+        let allowedSubjects = subjects;
+
+        // Teacher Restriction
+        const role = sessionStorage.getItem('edutrack_role');
+        if (role === 'teacher') {
+            const teacher = Storage.getCurrentTeacher();
+
+            // Restrict Subjects to the teacher's assignments
+            const subjectIds = Storage.getTeacherSubjectIds(teacher);
+            allowedSubjects = subjects.filter(s => subjectIds.includes(s.id));
+
+            // Restrict Levels and Divisions based on assignment
+            // We should only show levels/divisions that the teacher is assigned to
+            const teacherClasses = Storage.getTeacherClasses(teacher);
+            if (teacherClasses.length > 0) {
+                const assignedLevels = [...new Set(teacherClasses.map(c => c.level))];
+                levels = levels.filter(l => assignedLevels.includes(l));
+
+                // Note: Filtering divisions here is tricky because it depends on the selected level.
+                // Ideally, we should filter the division dropdown *dynamically* when level changes.
+                // But for now, let's just initial filter or leave all divisions (since selecting a wrong one will show no students).
+                // Better approach: Let app.refreshGradesView handle validation or just show empty list.
+                // For UI cleanliness, let's filter the initial lists if possible.
+            }
+        }
+
+        // Initial render wrapper
+        container.innerHTML = `
+            <div class="glass-panel animate-enter" style="margin-bottom: 24px;">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 16px; align-items: flex-end;">
+                    <div id="subject-select-container" style="${role === 'admin' ? 'display:none;' : ''}">
+                        <label class="form-label">Matière</label>
+                        <select id="grade-subject-select" class="form-input" onchange="app.refreshGradesView()">
+                            <option value="">Choisir une matière</option>
+                            ${allowedSubjects.map(s => `<option value="${s.id}">${s.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Classe</label>
+                        <select id="grade-class-select" class="form-input" onchange="app.refreshGradesView()">
+                            <option value="">Choisir une classe</option>
+                            ${(function () {
+                // Dynamically generate options from existing students
+                const uniqueClasses = new Set();
+                const levels = ["6ème", "5ème", "4ème", "3ème", "Lycée"];
+
+                students.forEach(s => {
+                    if (s.level) {
+                        const div = s.classroom ? s.classroom : '';
+                        uniqueClasses.add(JSON.stringify({ level: s.level, classroom: div }));
+                    }
+                });
+
+                // Convert Set back to array of objects
+                let allOptions = Array.from(uniqueClasses).map(s => JSON.parse(s));
+
+                // Sort
+                allOptions.sort((a, b) => {
+                    if (a.level !== b.level) return a.level.localeCompare(b.level);
+                    return parseInt(a.classroom || 0) - parseInt(b.classroom || 0);
+                });
+
+                // Filter for Teachers
+                const role = sessionStorage.getItem('edutrack_role');
+                if (role === 'teacher') {
+                    const teacherClasses = Storage.getTeacherClasses(Storage.getCurrentTeacher());
+                    allOptions = allOptions.filter(opt =>
+                        teacherClasses.some(tc =>
+                            tc.level === opt.level && String(tc.division || '') === String(opt.classroom || '')
+                        )
+                    );
+                }
+
+                if (allOptions.length === 0 && role === 'teacher') {
+                    return '<option value="" disabled>Aucune classe assignée</option>';
+                }
+
+                return allOptions.map(c => {
+                    const val = `${c.level}|${c.classroom}`;
+                    const label = `${c.level}${c.classroom || ''}`;
+                    return `<option value="${val}">${label}</option>`;
+                }).join('');
+            })()}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Trimestre</label>
+                        <select id="grade-term-select" class="form-input" onchange="app.refreshGradesView()">
+                            <option value="Trimestre 1">Trimestre 1</option>
+                            <option value="Trimestre 2">Trimestre 2</option>
+                            <option value="Trimestre 3">Trimestre 3</option>
+                        </select>
+                    </div>
+                    <div>
+                        <button class="btn btn-outline" onclick="app.showGradeAnalytics()">
+                            <i class="ph ph-chart-bar"></i> Statistiques
+                        </button>
+                    </div>
+                </div>
+            </div>
+            
+            <div id="grades-list-container">
+                <div style="text-align: center; color: var(--text-muted); padding: 40px;">
+                    Veuillez sélectionner une matière et un niveau pour saisir les notes.
+                </div>
+            </div>
+        `;
+
+        // If teacher has only one subject, auto-select it
+        if (role === 'teacher' && allowedSubjects.length === 1) {
+            const subjSelect = document.getElementById('grade-subject-select');
+            if (subjSelect) subjSelect.value = allowedSubjects[0].id;
+        }
+    },
+
+    renderPrincipalSubjectSummary(containerId, term, level, classroom) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const students = Storage.getStudents().filter(s =>
+            s.level === level && (!classroom || String(s.classroom) === String(classroom))
+        );
+
+        if (students.length === 0) {
+            container.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 40px;">Aucun élève trouvé dans cette classe.</div>';
+            return;
+        }
+
+        const subjects = Storage.getSubjects();
+
+        // Prepare Data Structure: Grades per Subject per Student
+        // We need efficient lookup
+        const matrix = {}; // { studentId: { subjectId: average } }
+        const subjectAverages = {}; // { subjectId: { sum: 0, count: 0 } }
+
+        subjects.forEach(subj => {
+            const grades = Storage.getGrades(subj.id, term);
+            subjectAverages[subj.id] = { sum: 0, count: 0 };
+
+            grades.forEach(g => {
+                if (!matrix[g.studentId]) matrix[g.studentId] = {};
+                matrix[g.studentId][subj.id] = g.average;
+
+                // For Class Avg
+                if (students.some(s => s.id === g.studentId)) { // Ensure student is in this class
+                    const val = parseFloat(g.average);
+                    if (!isNaN(val)) {
+                        subjectAverages[subj.id].sum += val;
+                        subjectAverages[subj.id].count++;
+                    }
+                }
+            });
+        });
+
+        // Calculate Student General Averages (Row), weighted by the level coefficients
+        students.forEach(s => {
+            const avg = Storage.getGeneralAverage(matrix[s.id] || {}, subjects, level);
+            s.generalAvg = !isNaN(avg) ? avg.toFixed(2) : '-';
+        });
+
+        // Class ranking (ties share the same rank)
+        const ranked = students.filter(s => s.generalAvg !== '-').map(s => parseFloat(s.generalAvg)).sort((a, b) => b - a);
+        students.forEach(s => {
+            s.generalRank = s.generalAvg !== '-' ? ranked.indexOf(parseFloat(s.generalAvg)) + 1 : '-';
+        });
+
+        // Render Matrix
+        let html = `
+            <div class="glass-panel table-container" style="overflow-x: auto;">
+                <div style="margin-bottom: 16px; display: flex; justify-content: space-between; align-items: flex-start;">
+                    <div>
+                        <h3>Bulletin Récapitulatif</h3>
+                        <p style="color: var(--text-muted); font-size: 13px;">Classe : ${level}${classroom || ''} - ${term}</p>
+                    </div>
+                    <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+                        ${this.exportButtonsHtml(format => `app.exportClassRecap('${term}', '${level}', '${classroom || ''}', '${format}')`)}
+                        <button class="btn btn-outline" onclick="app.showClassCouncil('${term}', '${level}', '${classroom || ''}')">
+                            <i class="ph ph-medal"></i> Conseil de classe
+                        </button>
+                        <button class="btn btn-outline" onclick="app.printClassReportCards('${term}', '${level}', '${classroom || ''}')">
+                            <i class="ph ph-printer"></i> Imprimer tous les bulletins
+                        </button>
+                    </div>
+                </div>
+                <table class="data-table" style="font-size: 13px;">
+                    <thead>
+                        <tr>
+                            <th style="min-width: 150px; position: sticky; left: 0; background: var(--surface); z-index: 10;">Élève</th>
+                            ${subjects.map(subj => `
+                                <th style="text-align: center; cursor: pointer; color: var(--primary);" 
+                                    onclick="app.selectSubjectAndRefresh('${subj.id}')"
+                                    title="Voir les détails pour ${subj.name}">
+                                    ${subj.name} <i class="ph-bold ph-arrow-right" style="font-size: 10px;"></i>
+                                    <div style="font-size: 10px; color: var(--text-muted); font-weight: 400;">
+                                        coef. ${Storage.getSubjectCoefficient(subj, level)}
+                                        <i class="ph ${GRADE_STATES[Storage.getGradeStatus(subj.id, term, level, classroom)].icon}" title="${GRADE_STATES[Storage.getGradeStatus(subj.id, term, level, classroom)].label}"></i>
+                                    </div>
+                                </th>
+                            `).join('')}
+                            <th style="text-align: center; font-weight: bold;">Moy. Gén.</th>
+                            <th style="text-align: center;">Rang</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+
+        students.forEach(s => {
+            html += `
+                <tr>
+                    <td style="font-weight: 600; position: sticky; left: 0; background: var(--surface);">${s.lastName} ${s.firstName}</td>
+                    ${subjects.map(subj => {
+                const avg = matrix[s.id]?.[subj.id];
+                const val = parseFloat(avg);
+                let color = 'var(--text-muted)';
+                let weight = '400';
+
+                if (!isNaN(val)) {
+                    if (val >= 10) { color = '#4ade80'; weight = '700'; }
+                    else if (val >= 8) { color = '#fbbf24'; weight = '700'; }
+                    else { color = '#f87171'; weight = '700'; }
+                }
+
+                return `<td style="text-align: center; color: ${color}; font-weight: ${weight}; cursor: pointer;" onclick="app.showGradeHistory('${s.id}', '${subj.id}', '${term}')" title="Historique des notes">${!isNaN(val) ? avg : '-'}</td>`;
+            }).join('')}
+                    <td style="text-align: center; font-weight: 800; color: white; background: rgba(255,255,255,0.05);">${s.generalAvg}</td>
+                    <td style="text-align: center;">${s.generalRank !== '-' ? `${s.generalRank}<sup style="font-size:10px">${s.generalRank === 1 ? 'er' : 'ème'}</sup>` : '-'}</td>
+                </tr>
+            `;
+        });
+
+        // Footer Row: Class Averages
+        html += `
+                <tr style="border-top: 2px solid rgba(255,255,255,0.1);">
+                    <td style="font-weight: bold; text-align: right; position: sticky; left: 0; background: var(--surface);">Moyenne Classe</td>
+                    ${subjects.map(subj => {
+            const data = subjectAverages[subj.id];
+            const avg = data.count > 0 ? (data.sum / data.count).toFixed(2) : '-';
+            const val = parseFloat(avg);
+            let color = 'var(--text-muted)'; // Default grey
+            if (!isNaN(val)) {
+                if (val >= 10) color = '#4ade80'; // Green
+                else if (val >= 8) color = '#fbbf24'; // Orange
+                else color = '#f87171'; // Red
+            }
+            return `<td style="text-align: center; font-weight: bold; color: ${color};">${avg}</td>`;
+        }).join('')}
+                    <td style="background: rgba(255,255,255,0.05);"></td>
+                    <td></td>
+                </tr>
+        `;
+
+        html += `   </tbody>
+                </table>
+            </div>
+            <div style="margin-top: 12px; font-size: 12px; color: var(--text-muted); text-align: right;">
+                <i class="ph-bold ph-info"></i> Cliquez sur le nom d'une matière pour saisir/voir les notes détaillées.
+            </div>
+        `;
+        container.innerHTML = html;
+    },
+
+    renderGradesTable(containerId, subjectId, term, level, classroom) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        let students = Storage.getStudents();
+        const role = sessionStorage.getItem('edutrack_role');
+        const isAdmin = role === 'admin';
+
+        // Filter students
+        if (level) {
+            students = students.filter(s => s.level === level);
+        }
+        if (classroom) {
+            students = students.filter(s => s.classroom === classroom);
+        }
+
+        const existingGrades = Storage.getGrades(subjectId, term); // array of objects
+        const evaluations = Storage.getEvaluationPlan(subjectId, term, level, classroom);
+        const status = Storage.getGradeStatus(subjectId, term, level, classroom);
+        const state = GRADE_STATES[status];
+        // Submitted, validated or locked grades are shown read-only
+        const readOnly = isAdmin || !Storage.canEditGrades(status, subjectId, level, classroom);
+        const workflow = (target, icon, label) => `<button type="button" class="btn btn-outline" onclick="app.changeGradeStatus('${subjectId}', '${term}', '${level}', '${classroom || ''}', '${target}')"><i class="ph ${icon}"></i> ${label}</button>`;
+
+        container.innerHTML = `
+            <form onsubmit="app.handleSaveGrades(event)">
+                <input type="hidden" name="subjectId" value="${subjectId}">
+                <input type="hidden" name="term" value="${term}">
+                <input type="hidden" name="level" value="${level}">
+                <input type="hidden" name="classroom" value="${classroom || ''}">
+                
+                <div class="glass-panel table-container">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 16px; align-items: center;">
+                        <h3>Liste des élèves (${students.length})</h3>
+                        <div style="display:flex; gap:12px; align-items:center; flex-wrap: wrap;">
+                            ${role === 'principal' ? '<button type="button" class="btn btn-outline" onclick="app.clearSubjectAndRefresh()"><i class="ph ph-arrow-left"></i> Retour au sommaire</button>' : ''}
+                            <span class="status-badge ${state.badge}"><i class="ph ${state.icon}"></i> ${state.label}</span>
+                            ${this.exportButtonsHtml(format => `app.exportGradeSheet('${subjectId}', '${term}', '${level}', '${classroom || ''}', '${format}')`)}
+                            ${role === 'teacher' && status === 'open' ? workflow('submitted', 'ph-paper-plane-tilt', 'Soumettre au principal') : ''}
+                            ${role === 'principal' && (status === 'open' || status === 'submitted') ? workflow('validated', 'ph-seal-check', 'Valider') : ''}
+                            ${role === 'principal' && status === 'validated' ? workflow('locked', 'ph-lock', 'Verrouiller') : ''}
+                            ${role === 'principal' && status !== 'open' ? workflow('open', 'ph-lock-open', 'Rouvrir') : ''}
+                            ${!readOnly ? `
+                                <button type="button" class="btn btn-outline" onclick="app.downloadGradeTemplate('${subjectId}', '${term}', '${level}', '${classroom || ''}')" title="Modèle Excel pré-rempli"><i class="ph ph-download-simple"></i> Modèle</button>
+                                <button type="button" class="btn btn-outline" onclick="document.getElementById('grade-import-file').click()"><i class="ph ph-microsoft-excel-logo"></i> Importer</button>
+                                <input type="file" id="grade-import-file" accept=".xlsx, .xls, .csv" style="display: none;" onchange="app.handleImportGrades(event, '${subjectId}', '${term}', '${level}', '${classroom || ''}')">
+                                <button type="button" class="btn btn-outline" onclick="app.showEvaluationPlanModal('${subjectId}', '${term}', '${level}', '${classroom || ''}')"><i class="ph ph-list-numbers"></i> Évaluations</button>
+                                <button type="submit" class="btn btn-primary">Enregistrer les notes</button>
+                            ` : ''}
+                        </div>
+                    </div>
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Élève</th>
+                                <th>Classe</th>
+                                ${evaluations.map(ev => `
+                                    <th style="width: 60px;" title="${(EVALUATION_TYPES[ev.type] || EVALUATION_TYPES.devoir).label}${ev.date ? ` du ${ev.date}` : ''} - coef. ${ev.weight}">
+                                        ${ev.name}
+                                        <div style="font-size: 10px; color: var(--text-muted); font-weight: 400;">/${ev.scale}${parseFloat(ev.weight) !== 1 ? ` ×${ev.weight}` : ''}</div>
+                                    </th>
+                                `).join('')}
+                                <th style="width: 80px;">Moyenne</th>
+                                <th>Appréciation</th>
+                                <th>Compétences</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${students.length === 0 ? `<tr><td colspan="${evaluations.length + 5}" style="text-align:center;">Aucun élève trouvé pour ce niveau/division.</td></tr>` : ''}
+                            ${students.map(s => {
+                    const gradeRecord = existingGrades.find(g => g.studentId === s.id);
+                    // One value per planned evaluation
+                    const values = gradeRecord && Array.isArray(gradeRecord.values)
+                        ? [...gradeRecord.values]
+                        : (gradeRecord && gradeRecord.value ? [gradeRecord.value] : []);
+                    // Fill up to the number of evaluations if partial
+                    while (values.length < evaluations.length) values.push('');
+
+                    const average = gradeRecord ? gradeRecord.average : '';
+
+                    return `
+                                    <tr>
+                                        <td>
+                                            <div style="font-weight: 600; display: flex; align-items: center; gap: 6px;">
+                                                ${s.lastName} ${s.firstName}
+                                                <button type="button" class="btn-icon" style="width: 24px; height: 24px; font-size: 13px;" onclick="app.showGradeHistory('${s.id}', '${subjectId}', '${term}')" title="Historique des notes">
+                                                    <i class="ph ph-clock-counter-clockwise"></i>
+                                                </button>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <span class="status-badge status-valid">${s.level} ${s.classroom || ''}</span>
+                                        </td>
+                                        ${evaluations.map((ev, idx) => `
+                                            <td>
+                                                <input type="number" step="0.5" min="0" max="${ev.scale}" 
+                                                    name="grade_${s.id}_${idx}" 
+                                                    value="${values[idx]}" 
+                                                    data-weight="${ev.weight}"
+                                                    data-scale="${ev.scale}"
+                                                    class="form-input" 
+                                                    style="width: 50px; padding: 6px; text-align: center; ${readOnly ? 'background: transparent; border: none; font-weight: bold; color:white;' : ''}"
+                                                    oninput="app.calculateRowAverage('${s.id}')"
+                                                    ${readOnly ? 'readonly disabled' : ''}
+                                                >
+                                            </td>
+                                        `).join('')}
+                                        <td>
+                                            <input type="text" 
+                                                id="avg_${s.id}"
+                                                name="average_${s.id}"
+                                                value="${average}"
+                                                readonly
+                                                class="form-input"
+                                                style="width: 60px; padding: 6px; text-align: center; font-weight: bold; background: rgba(255,255,255,0.1);"
+                                            >
+                                        </td>
+                                        <td>
+                                            <input type="text"
+                                                name="appreciation_${s.id}"
+                                                value="${gradeRecord && gradeRecord.appreciation ? gradeRecord.appreciation : ''}"
+                                                class="form-input"
+                                                placeholder="Commentaire..."
+                                                style="width: 100%; padding: 6px; font-size: 12px; ${readOnly ? 'background: transparent; border: none; color:white;' : ''}"
+                                                ${readOnly ? 'readonly' : ''}
+                                            >
+                                        </td>
+                                        <td>
+                                            <input type="text"
+                                                name="competence_${s.id}"
+                                                value="${gradeRecord && gradeRecord.competence ? gradeRecord.competence : ''}"
+                                                class="form-input"
+                                                placeholder="Acquis..."
+                                                style="width: 100%; padding: 6px; font-size: 12px; ${readOnly ? 'background: transparent; border: none; color:white;' : ''}"
+                                                ${readOnly ? 'readonly' : ''}
+                                            >
+                                        </td>
+                                    </tr>
+                                `;
+                }).join('')}
+                        </tbody>
+                        ${this.gradeStatsFooterHtml(evaluations, existingGrades.filter(g => students.some(s => s.id === g.studentId)))}
+                    </table>
+                </div>
+            </form>
+        `;
+    },
+
+    // Min / max / median / écart-type / % reçus per evaluation and for the average (saved marks)
+    gradeStatsFooterHtml(evaluations, grades) {
+        const columns = [
+            ...evaluations.map((ev, i) => Storage.getScoreStats(grades.map(g => (g.values || [])[i]), parseFloat(ev.scale) || 20)),
+            Storage.getScoreStats(grades.map(g => g.average))
+        ];
+        if (!columns.some(Boolean)) return '';
+
+        const line = (label, format) => `
+            <tr style="font-size: 12px; color: var(--text-muted);">
+                <td colspan="2" style="text-align: right; font-weight: 600;">${label}</td>
+                ${columns.map(stats => `<td style="text-align: center;">${stats ? format(stats) : '-'}</td>`).join('')}
+                <td colspan="2"></td>
+            </tr>
+        `;
+
+        return `
+            <tfoot style="border-top: 2px solid rgba(255,255,255,0.1);">
+                ${line('Min', st => st.min)}
+                ${line('Max', st => st.max)}
+                ${line('Médiane', st => st.median.toFixed(2))}
+                ${line('Écart-type', st => st.stdDev.toFixed(2))}
+                ${line('% ≥ moyenne', st => `${Math.round(st.passRate)}%`)}
+            </tfoot>
+        `;
+    },
+
+    // Vertical mini histogram of marks on 20
+    histogramHtml(values) {
+        const bins = [[0, 5], [5, 8], [8, 10], [10, 12], [12, 14], [14, 16], [16, 20.01]];
+        const marks = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+        const counts = bins.map(([from, to]) => marks.filter(v => v >= from && v < to).length);
+        const max = Math.max(...counts, 1);
+
+        return `
+            <div style="display: flex; align-items: flex-end; gap: 3px; height: 48px;">
+                ${counts.map((count, i) => `
+                    <div title="${bins[i][0]}-${Math.floor(bins[i][1])} : ${count} élève(s)"
+                        style="width: 14px; height: ${Math.max(2, (count / max) * 48)}px; background: ${bins[i][0] >= 10 ? '#4ade80' : (bins[i][0] >= 8 ? '#fbbf24' : '#f87171')}; border-radius: 2px; opacity: ${count ? 1 : 0.2};"></div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    // Subjects of a level compared across divisions; with one subject, also each evaluation
+    renderGradeAnalytics(container, level, term, subjectId = '') {
+        const role = sessionStorage.getItem('edutrack_role');
+        let subjects = Storage.getSubjects();
+        if (role === 'teacher') subjects = subjects.filter(s => Storage.getTeacherSubjectIds(Storage.getCurrentTeacher()).includes(s.id));
+        const shownSubjects = subjectId ? subjects.filter(s => s.id === subjectId) : subjects;
+
+        const levelStudents = Storage.getStudents().filter(s => s.level === level);
+        const divisions = [...new Set(levelStudents.map(s => String(s.classroom || '')))]
+            .sort((a, b) => (parseInt(a) || 0) - (parseInt(b) || 0));
+        const fmt = (val) => val !== undefined ? val.toFixed(2) : '-';
+
+        const statsRow = (label, grades, bold = false) => {
+            const averages = grades.map(g => g.average);
+            const st = Storage.getScoreStats(averages);
+            return `
+                <tr style="${bold ? 'font-weight: 700; border-top: 2px solid rgba(255,255,255,0.1);' : ''}">
+                    <td>${label}</td>
+                    <td style="text-align: center;">${st ? st.count : 0}</td>
+                    <td style="text-align: center;">${st ? fmt(st.mean) : '-'}</td>
+                    <td style="text-align: center;">${st ? st.min : '-'}</td>
+                    <td style="text-align: center;">${st ? st.max : '-'}</td>
+                    <td style="text-align: center;">${st ? fmt(st.median) : '-'}</td>
+                    <td style="text-align: center;">${st ? fmt(st.stdDev) : '-'}</td>
+                    <td style="text-align: center;">${st ? `${Math.round(st.passRate)}%` : '-'}</td>
+                    <td>${st ? this.histogramHtml(averages) : ''}</td>
+                </tr>
+            `;
+        };
+        const header = (first) => `
+            <thead>
+                <tr>
+                    <th>${first}</th>
+                    <th style="text-align: center;">Notés</th>
+                    <th style="text-align: center;">Moyenne</th>
+                    <th style="text-align: center;">Min</th>
+                    <th style="text-align: center;">Max</th>
+                    <th style="text-align: center;">Médiane</th>
+                    <th style="text-align: center;">Écart-type</th>
+                    <th style="text-align: center;">% ≥ 10</th>
+                    <th>Répartition</th>
+                </tr>
+            </thead>
+        `;
+
+        const panels = shownSubjects.map(subj => {
+            const grades = Storage.getGrades(subj.id, term);
+            const gradesOf = (division) => grades.filter(g => levelStudents.some(s => s.id === g.studentId && String(s.classroom || '') === division));
+
+            // Per evaluation of each division, marks brought back to /20 to compare plans with different scales
+            const evaluationTables = subjectId ? divisions.map(division => {
+                const evaluations = Storage.getEvaluationPlan(subj.id, term, level, division);
+                const divisionGrades = gradesOf(division);
+                return `
+                    <h4 style="margin: 20px 0 8px; font-size: 13px;">Évaluations ${level}${division}</h4>
+                    <table class="data-table" style="font-size: 12px;">
+                        ${header('Évaluation')}
+                        <tbody>
+                            ${evaluations.map((ev, i) => statsRow(
+                    `${ev.name} <span style="color: var(--text-muted);">(/${ev.scale})</span>`,
+                    divisionGrades.map(g => ({ average: (g.values || [])[i] !== undefined && (g.values || [])[i] !== '' ? (parseFloat(g.values[i]) / (parseFloat(ev.scale) || 20)) * 20 : '' }))
+                )).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }).join('') : '';
+
+            return `
+                <div class="glass-panel table-container animate-enter" style="margin-bottom: 24px;">
+                    <h3 style="margin-bottom: 16px;">${subj.name}</h3>
+                    <table class="data-table" style="font-size: 13px;">
+                        ${header('Division')}
+                        <tbody>
+                            ${divisions.map(division => statsRow(`${level}${division}`, gradesOf(division))).join('')}
+                            ${divisions.length > 1 ? statsRow(`Niveau ${level}`, divisions.flatMap(gradesOf), true) : ''}
+                        </tbody>
+                    </table>
+                    ${evaluationTables}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="page-header-area">
+                <div style="display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
+                    <button class="btn btn-outline" onclick="app.navigate('grades')"><i class="ph ph-arrow-left"></i> Retour</button>
+                    <select id="analytics-level" class="form-input" style="width: 120px;" onchange="app.refreshGradeAnalytics()">
+                        ${LEVELS.map(l => `<option value="${l}" ${l === level ? 'selected' : ''}>${l}</option>`).join('')}
+                    </select>
+                    <select id="analytics-term" class="form-input" style="width: 150px;" onchange="app.refreshGradeAnalytics()">
+                        ${TERMS.map(t => `<option value="${t}" ${t === term ? 'selected' : ''}>${t}</option>`).join('')}
+                    </select>
+                    <select id="analytics-subject" class="form-input" style="width: 200px;" onchange="app.refreshGradeAnalytics()">
+                        ${subjects.length > 1 ? `<option value="">Toutes les matières</option>` : ''}
+                        ${subjects.map(s => `<option value="${s.id}" ${s.id === subjectId ? 'selected' : ''}>${s.name}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            ${divisions.length === 0 ? '<div style="text-align: center; color: var(--text-muted); padding: 40px;">Aucun élève dans ce niveau.</div>' : panels}
+        `;
+    },
+
+    // One "Nom et Prénom" field to create; separate fields to edit, so multi-word last names survive
+    nameFieldsHtml(record, placeholder) {
+        const escape = (text) => String(text || '').replace(/"/g, '&quot;');
+        if (!record) {
+            return `
+                <div class="form-group">
+                    <label class="form-label">Nom et Prénom</label>
+                    <input type="text" name="fullName" class="form-input" required placeholder="${placeholder}">
+                </div>
+            `;
+        }
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                <div class="form-group">
+                    <label class="form-label">Nom</label>
+                    <input type="text" name="lastName" class="form-input" required value="${escape(record.lastName)}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Prénom</label>
+                    <input type="text" name="firstName" class="form-input" required value="${escape(record.firstName)}">
+                </div>
+            </div>
+        `;
+    },
+
+    // Also the edit form when `id` is given
+    showAddStudentModal(id = null) {
+        const student = id ? Storage.getStudents().find(s => s.id === id) : null;
+        if (id && !student) return;
+        const value = (text) => student ? `value="${String(text || '').replace(/"/g, '&quot;')}"` : '';
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 500px; max-width: 90%; margin: 100px auto; position: relative;">
+                <h3 style="margin-bottom: 24px;">${student ? `Modifier l'élève <span style="color: var(--text-muted); font-size: 13px;">(${student.studentId})</span>` : 'Ajouter un nouvel élève'}</h3>
+                <form id="add-student-form" onsubmit="app.handleAddStudent(event)">
+                    <input type="hidden" name="id" value="${student ? student.id : ''}">
+                    ${this.nameFieldsHtml(student, 'Ex: Dupont Jean')}
+
+                    <div class="form-group">
+                        <label class="form-label">Classe (Ex: 6ème 2, 6eme7)</label>
+                        <input type="text" name="fullClass" class="form-input" required placeholder="Ex: 6ème 2" ${value(student && `${student.level} ${student.classroom || ''}`.trim())}>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Contact Parent</label>
+                        <input type="tel" name="parentPhone" class="form-input" required placeholder="Ex: 06 12 34 56 78" ${value(student && student.parentPhone)}>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Adresse</label>
+                        <input type="text" name="address" class="form-input" required placeholder="Adresse complète" ${value(student && student.address)}>
+                    </div>
+                    
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    showAddAbsenceModal() {
+        const students = this.getScopedStudents();
+        const modalHtml = `
+            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
+                <h3 style="margin-bottom: 24px;">Ajouter une Absence</h3>
+                <form onsubmit="app.handleAddAbsence(event)">
+                    <div class="form-group">
+                        <label class="form-label">Élève</label>
+                        <select name="studentId" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;">
+                            <option value="">Sélectionner un élève</option>
+                            ${students.map(s => `<option value="${s.id}">${s.lastName} ${s.firstName} (${s.studentId})</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Date</label>
+                        <input type="date" name="date" class="form-input" required value="${new Date().toISOString().split('T')[0]}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Type</label>
+                        <select name="type" class="form-input" style="background: rgba(0,0,0,0.2); color:white;" onchange="app.toggleAbsenceType(this)">
+                            <option value="absence">Absence</option>
+                            <option value="late">Retard</option>
+                        </select>
+                    </div>
+                    <div class="form-group" id="absence-hours-group">
+                        <label class="form-label">Nombre d'heures</label>
+                        <input type="number" name="hours" class="form-input" required min="1" placeholder="Ex: 2">
+                    </div>
+                    <div id="absence-late-group" style="display: none; grid-template-columns: 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Minutes de retard</label>
+                            <input type="number" name="minutes" class="form-input" min="1" placeholder="Ex: 15">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Heure d'arrivée</label>
+                            <input type="time" name="arrivalTime" class="form-input">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Motif</label>
+                        <input type="text" name="reason" class="form-input" placeholder="Ex: Maladie, RDV...">
+                    </div>
+                    ${this.absenceJustificationFields()}
+                    
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    // Justifying is the school office's job: supervisors (any absence) and the principal
+    canJustifyAbsence() {
+        return ['principal', 'supervisor'].includes(sessionStorage.getItem('edutrack_role'));
+    },
+
+    // Principals correct any record, supervisors only the ones they entered
+    canEditAbsence(absence) {
+        const role = sessionStorage.getItem('edutrack_role');
+        if (role === 'principal') return true;
+        if (role !== 'supervisor') return false;
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+        return !!absence.takenBy && absence.takenBy === user.id;
+    },
+
+    // One line per audit entry: "12/10/2026 09:14 - Dupont Jean : Heures 4 → 2"
+    auditEntriesHtml(entries) {
+        const fieldLabels = { date: 'Date', type: 'Type', hours: 'Heures', minutes: 'Minutes', arrivalTime: "Heure d'arrivée", reason: 'Motif', status: 'Statut', justificationNote: 'Commentaire', document: 'Justificatif' };
+        const display = (field, val) => (field === 'status' && ABSENCE_STATUSES[val] ? ABSENCE_STATUSES[val].label : val) || '-';
+        const when = (iso) => new Date(iso).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+        if (entries.length === 0) return '<p style="font-size: 12px; color: var(--text-muted);">Aucune modification.</p>';
+
+        return entries.map(e => `
+            <div style="font-size: 12px; padding: 6px 0; border-bottom: 1px solid var(--border-color);">
+                <span style="color: var(--text-muted);">${when(e.at)} - ${e.userName || '?'} :</span>
+                ${e.action === 'create' ? '<span style="color: #4ade80;">Saisie</span> ' : ''}
+                ${e.action === 'delete' && !e.snapshot ? '<span style="color: #f87171;">Effacement</span> ' : ''}
+                ${e.action === 'delete' && e.snapshot
+                ? `<span style="color: #f87171;">Suppression</span> (${e.snapshot.date}, ${e.snapshot.type === 'late' ? `retard ${e.snapshot.minutes || 0} min` : `${e.snapshot.hours}h`}${e.snapshot.reason ? `, ${e.snapshot.reason}` : ''})`
+                : Object.keys(e.changes).map(f => `${fieldLabels[f] || f} ${display(f, e.changes[f].from)} → ${display(f, e.changes[f].to)}`).join(', ')}
+            </div>
+        `).join('');
+    },
+
+    // Changes found in an imported grade file, shown before anything is saved
+    showGradeImportPreview(pending) {
+        const changed = pending.entries.filter(entry => entry.changed);
+        const withErrors = pending.entries.filter(entry => entry.errors.length > 0);
+        const cellHtml = (oldVal, newVal) => oldVal === newVal
+            ? `<span style="color: var(--text-muted);">${newVal || '-'}</span>`
+            : `<span style="color: var(--text-muted); text-decoration: line-through;">${oldVal || '-'}</span> <strong style="color: #4ade80;">${newVal || '-'}</strong>`;
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 900px; max-width: 95%; margin: 40px auto; max-height: 90vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Aperçu de l'Import</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 16px;">
+                    ${pending.level}${pending.classroom || ''} - ${pending.term} : ${pending.entries.length} élève(s) reconnu(s), ${changed.length} modification(s).
+                </p>
+                ${pending.unmatched.length > 0 ? `<p style="color: #fbbf24; font-size: 13px; margin-bottom: 8px;"><i class="ph-bold ph-warning"></i> Lignes non reconnues (ignorées) : ${pending.unmatched.join(', ')}</p>` : ''}
+                ${pending.ambiguous.length > 0 ? `<p style="color: #fbbf24; font-size: 13px; margin-bottom: 8px;"><i class="ph-bold ph-warning"></i> Lignes ambiguës (ignorées) : ${pending.ambiguous.map(a => `ligne ${a.line} (${a.candidates.map(s => `${s.lastName} ${s.firstName}`).join(' ou ')})`).join(' ; ')}</p>` : ''}
+                ${pending.duplicates.length > 0 ? `<p style="color: #fbbf24; font-size: 13px; margin-bottom: 8px;"><i class="ph-bold ph-warning"></i> Élèves présents sur plusieurs lignes (ignorés) : ${pending.duplicates.map(d => `${d.student.lastName} ${d.student.firstName} (lignes ${d.lines.join(', ')})`).join(' ; ')}</p>` : ''}
+                ${withErrors.length > 0 ? `<p style="color: #f87171; font-size: 13px; margin-bottom: 8px;"><i class="ph-bold ph-warning"></i> Notes invalides (ignorées) : ${withErrors.map(entry => `${entry.student.lastName} ${entry.student.firstName} (${entry.errors.join(', ')})`).join(' ; ')}</p>` : ''}
+                ${changed.length === 0 ? '<p style="text-align: center; padding: 24px; color: var(--text-muted);">Aucune note nouvelle ou modifiée dans ce fichier.</p>' : `
+                    <table class="data-table" style="font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Élève</th>
+                                ${pending.evaluations.map(ev => `<th style="text-align: center;">${ev.name}</th>`).join('')}
+                                <th style="text-align: center;">Moyenne</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${changed.map(entry => `
+                                <tr>
+                                    <td style="font-weight: 600;">${entry.student.lastName} ${entry.student.firstName}</td>
+                                    ${entry.values.map((val, i) => `<td style="text-align: center;">${cellHtml(entry.oldValues[i], val)}</td>`).join('')}
+                                    <td style="text-align: center;">${cellHtml(entry.oldAverage, entry.average)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+                <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                    ${changed.length > 0 ? `<button type="button" class="btn btn-primary" onclick="app.confirmGradeImport()">Confirmer l'import</button>` : ''}
+                </div>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    showGradeHistoryModal(studentId, subjectId, term) {
+        const student = Storage.getStudents(true).find(s => s.id === studentId);
+        const subject = Storage.getSubjects(true).find(s => s.id === subjectId);
+        const entries = Storage.getAuditLog('grade', `${studentId}|${subjectId}|${term}`);
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 600px; max-width: 90%; margin: 100px auto; max-height: 80vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Historique des Notes</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">
+                    ${this.studentName(student)} - ${subject ? subject.name : ''} - ${term}
+                </p>
+                ${this.auditEntriesHtml(entries)}
+                <div style="display: flex; margin-top: 24px; justify-content: flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                </div>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    showEditAbsenceModal(absenceId) {
+        const absence = Storage.getAbsences().find(a => a.id === absenceId);
+        if (!absence || !this.canEditAbsence(absence)) return;
+        const student = Storage.getStudents(true).find(s => s.id === absence.studentId);
+        const isLate = absence.type === 'late';
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
+                <h3 style="margin-bottom: 8px;">Modifier une Absence</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">
+                    ${this.studentName(student)}
+                </p>
+                <form onsubmit="app.handleEditAbsence(event, '${absence.id}')">
+                    <div class="form-group">
+                        <label class="form-label">Date</label>
+                        <input type="date" name="date" class="form-input" required value="${absence.date}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Type</label>
+                        <select name="type" class="form-input" style="background: rgba(0,0,0,0.2); color:white;" onchange="app.toggleAbsenceType(this)">
+                            <option value="absence" ${!isLate ? 'selected' : ''}>Absence</option>
+                            <option value="late" ${isLate ? 'selected' : ''}>Retard</option>
+                        </select>
+                    </div>
+                    <div class="form-group" id="absence-hours-group" style="display: ${isLate ? 'none' : ''};">
+                        <label class="form-label">Nombre d'heures</label>
+                        <input type="number" name="hours" class="form-input" ${!isLate ? 'required' : ''} min="1" value="${isLate ? '' : absence.hours}">
+                    </div>
+                    <div id="absence-late-group" style="display: ${isLate ? 'grid' : 'none'}; grid-template-columns: 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Minutes de retard</label>
+                            <input type="number" name="minutes" class="form-input" ${isLate ? 'required' : ''} min="1" value="${absence.minutes || ''}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Heure d'arrivée</label>
+                            <input type="time" name="arrivalTime" class="form-input" value="${absence.arrivalTime || ''}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Motif</label>
+                        <input type="text" name="reason" class="form-input" value="${absence.reason || ''}">
+                    </div>
+
+                    <h4 style="margin: 24px 0 8px; font-size: 13px;">Historique des modifications</h4>
+                    ${this.auditEntriesHtml(Storage.getAuditLog('absence', absence.id))}
+
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    // Status + document inputs shared by the add and justify forms
+    absenceJustificationFields(absence = {}) {
+        return `
+            <div class="form-group">
+                <label class="form-label">Statut</label>
+                <select name="status" class="form-input" style="background: rgba(0,0,0,0.2); color:white;">
+                    ${Object.keys(ABSENCE_STATUSES).map(key => `<option value="${key}" ${key === (absence.status || 'unjustified') ? 'selected' : ''}>${ABSENCE_STATUSES[key].label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Justificatif (optionnel, max 500 Ko)</label>
+                <input type="file" name="document" class="form-input" accept="image/*,.pdf">
+                ${absence.document ? `<p style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">Actuel : ${absence.document.name}</p>` : ''}
+            </div>
+        `;
+    },
+
+    showJustifyAbsenceModal(absenceId) {
+        const absence = Storage.getAbsences().find(a => a.id === absenceId);
+        if (!absence || !this.canJustifyAbsence()) return;
+        const student = Storage.getStudents(true).find(s => s.id === absence.studentId);
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
+                <h3 style="margin-bottom: 8px;">Justifier une Absence</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">
+                    ${this.studentName(student)} - ${absence.date} - ${absence.type === 'late' ? `Retard ${absence.minutes || 0} min` : `${absence.hours || 0}h`}
+                </p>
+                <form onsubmit="app.handleJustifyAbsence(event, '${absence.id}')">
+                    ${this.absenceJustificationFields(absence)}
+                    <div class="form-group">
+                        <label class="form-label">Commentaire</label>
+                        <input type="text" name="justificationNote" class="form-input" value="${absence.justificationNote || ''}" placeholder="Ex: Certificat médical reçu">
+                    </div>
+
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    showAddFeeModal() {
+        const students = Storage.getStudents();
+        const schedule = Storage.getFeeSchedule();
+        const modalHtml = `
+            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
+                <h3 style="margin-bottom: 24px;">Enregistrer un Paiement</h3>
+                <form id="add-fee-form" onsubmit="app.handleAddFee(event)">
+                    <div class="form-group">
+                        <label class="form-label">Élève</label>
+                        <select name="studentId" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;" onchange="app.updateFeeDueHint()">
+                            <option value="">Sélectionner un élève</option>
+                            ${students.map(s => `<option value="${s.id}">${s.lastName} ${s.firstName} (${s.studentId})</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Type de Frais</label>
+                        <select name="feeType" class="form-input" style="background: rgba(0,0,0,0.2); color:white;" onchange="app.updateFeeDueHint()">
+                            <option value="monthly">Mensualité</option>
+                            ${schedule.extraFees.map(x => `<option value="${x.id}">${x.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group" id="fee-month-group">
+                        <label class="form-label">Mois Concerné</label>
+                        <select name="month" class="form-input" style="background: rgba(0,0,0,0.2); color:white;" onchange="app.updateFeeDueHint()">
+                            ${SCHOOL_MONTHS.map(m => `<option value="${m}">${m}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Montant (FD)</label>
+                        <input type="number" name="amount" class="form-input" required min="1" placeholder="Montant versé">
+                        <p id="fee-due-hint" style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">Sélectionnez un élève pour voir le montant dû.</p>
+                    </div>
+                    
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    extraFeeRowHtml(fee = {}) {
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 120px 32px; gap: 8px; margin-bottom: 8px;">
+                <input type="hidden" name="extra_id[]" value="${fee.id || ''}">
+                <input type="text" name="extra_label[]" class="form-input" style="padding: 6px;" placeholder="Ex: Inscription, Examen" value="${fee.label || ''}">
+                <input type="number" name="extra_amount[]" class="form-input" style="padding: 6px;" min="0" placeholder="FD" value="${fee.amount || ''}">
+                <button type="button" class="btn-icon" style="color: #f87171;" onclick="this.parentElement.remove()">
+                    <i class="ph ph-trash"></i>
+                </button>
+            </div>
+        `;
+    },
+
+    evaluationRowHtml(evaluation = {}) {
+        const type = evaluation.type || 'devoir';
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 130px 140px 70px 70px 32px; gap: 8px; margin-bottom: 8px;">
+                <input type="hidden" name="eval_id[]" value="${evaluation.id || ''}">
+                <input type="text" name="eval_name[]" class="form-input" style="padding: 6px;" placeholder="Ex: Devoir 1" value="${evaluation.name || ''}">
+                <select name="eval_type[]" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;" onchange="app.applyEvaluationTypeWeight(this)">
+                    ${Object.keys(EVALUATION_TYPES).map(key => `<option value="${key}" ${key === type ? 'selected' : ''}>${EVALUATION_TYPES[key].label}</option>`).join('')}
+                </select>
+                <input type="date" name="eval_date[]" class="form-input" style="padding: 6px;" value="${evaluation.date || ''}">
+                <input type="number" name="eval_weight[]" class="form-input" style="padding: 6px;" min="0" step="0.5" title="Coefficient" value="${evaluation.weight !== undefined ? evaluation.weight : EVALUATION_TYPES[type].weight}">
+                <select name="eval_scale[]" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;" title="Barème">
+                    ${EVALUATION_SCALES.map(scale => `<option value="${scale}" ${scale === (parseFloat(evaluation.scale) || 20) ? 'selected' : ''}>/${scale}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-icon" style="color: #f87171;" onclick="this.parentElement.remove()">
+                    <i class="ph ph-trash"></i>
+                </button>
+            </div>
+        `;
+    },
+
+    showEvaluationPlanModal(subjectId, term, level, classroom) {
+        const subject = Storage.getSubjects().find(s => s.id === subjectId);
+        const evaluations = Storage.getEvaluationPlan(subjectId, term, level, classroom);
+        const modalHtml = `
+            <div class="glass-panel" style="width: 720px; max-width: 95%; margin: 50px auto; max-height: 90vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Évaluations du Trimestre</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">
+                    ${subject ? subject.name : ''} - ${level}${classroom || ''} - ${term}. Les notes sont ramenées sur 20 puis pondérées par leur coefficient.
+                </p>
+                <form onsubmit="app.handleSaveEvaluationPlan(event)">
+                    <input type="hidden" name="subjectId" value="${subjectId}">
+                    <input type="hidden" name="term" value="${term}">
+                    <input type="hidden" name="level" value="${level}">
+                    <input type="hidden" name="classroom" value="${classroom || ''}">
+
+                    <div style="display: grid; grid-template-columns: 1fr 130px 140px 70px 70px 32px; gap: 8px; margin-bottom: 8px; font-size: 12px; color: var(--text-muted);">
+                        <span>Nom</span><span>Type</span><span>Date</span><span>Coef.</span><span>Barème</span><span></span>
+                    </div>
+                    <div id="evaluations-container">
+                        ${evaluations.map(ev => this.evaluationRowHtml(ev)).join('')}
+                    </div>
+                    <button type="button" class="btn btn-outline" style="font-size: 12px; margin-top: 8px;" onclick="app.addEvaluationRow()">
+                        <i class="ph ph-plus"></i> Ajouter une évaluation
+                    </button>
+
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    scholarshipRowHtml(students, entry = {}) {
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 120px 32px; gap: 8px; margin-bottom: 8px;">
+                <select name="scholar_student[]" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;">
+                    <option value="">Choisir un élève</option>
+                    ${students.map(s => `<option value="${s.id}" ${s.id === entry.studentId ? 'selected' : ''}>${s.lastName} ${s.firstName} (${s.level}${s.classroom || ''})</option>`).join('')}
+                </select>
+                <input type="number" name="scholar_percent[]" class="form-input" style="padding: 6px;" min="0" max="100" placeholder="%" value="${entry.percent || ''}">
+                <button type="button" class="btn-icon" style="color: #f87171;" onclick="this.parentElement.remove()">
+                    <i class="ph ph-trash"></i>
+                </button>
+            </div>
         `;
     },
 
-    showAddStudentModal() {
-        // Implement Modal Logic
+    showFeeScheduleModal() {
+        const schedule = Storage.getFeeSchedule();
+        const students = Storage.getStudents().sort((a, b) => a.lastName.localeCompare(b.lastName));
         const modalHtml = `
-            <div class="glass-panel" style="width: 500px; max-width: 90%; margin: 100px auto; position: relative;">
-                <h3 style="margin-bottom: 24px;">Ajouter un nouvel élève</h3>
-                <form id="add-student-form" onsubmit="app.handleAddStudent(event)">
-                    <div class="form-group">
-                        <label class="form-label">Nom et Prénom</label>
-                        <input type="text" name="fullName" class="form-input" required placeholder="Ex: Dupont Jean">
+            <div class="glass-panel" style="width: 600px; max-width: 90%; margin: 50px auto; max-height: 90vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 24px;">Barème des Frais Scolaires</h3>
+                <form onsubmit="app.handleSaveFeeSchedule(event)">
+                    <label class="form-label" style="margin-bottom: 8px;">Mensualité par Niveau (FD)</label>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 12px;">
+                        ${Object.keys(schedule.levels).map(level => `
+                            <div class="form-group">
+                                <label class="form-label" style="font-size: 12px;">${level}</label>
+                                <input type="number" name="level_${level}" class="form-input" min="0" required value="${schedule.levels[level]}">
+                            </div>
+                        `).join('')}
                     </div>
 
-                    <div class="form-group">
-                        <label class="form-label">Classe (Ex: 6ème 2, 6eme7)</label>
-                        <input type="text" name="fullClass" class="form-input" required placeholder="Ex: 6ème 2">
+                    <div class="form-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid rgba(255,255,255,0.1);">
+                        <label class="form-label" style="margin-bottom: 8px;">Frais Annuels (Inscription, Examen...)</label>
+                        <div id="extra-fees-container">
+                            ${schedule.extraFees.map(x => this.extraFeeRowHtml(x)).join('')}
+                        </div>
+                        <button type="button" class="btn btn-outline" style="font-size: 12px; margin-top: 8px;" onclick="app.addExtraFeeRow()">
+                            <i class="ph ph-plus"></i> Ajouter un frais
+                        </button>
                     </div>
-                    <div class="form-group">
-                        <label class="form-label">Contact Parent</label>
-                        <input type="tel" name="parentPhone" class="form-input" required placeholder="Ex: 06 12 34 56 78">
+
+                    <div class="form-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid rgba(255,255,255,0.1);">
+                        <label class="form-label">Réduction Fratrie (%)</label>
+                        <input type="number" name="siblingDiscount" class="form-input" min="0" max="100" value="${schedule.siblingDiscount}">
+                        <p style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">Appliquée à partir du 2ème enfant inscrit (même téléphone parent).</p>
                     </div>
-                    <div class="form-group">
-                        <label class="form-label">Adresse</label>
-                        <input type="text" name="address" class="form-input" required placeholder="Adresse complète">
+
+                    <div class="form-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid rgba(255,255,255,0.1);">
+                        <label class="form-label" style="margin-bottom: 8px;">Bourses (% de la mensualité)</label>
+                        <div id="scholarships-container">
+                            ${schedule.scholarships.map(x => this.scholarshipRowHtml(students, x)).join('')}
+                        </div>
+                        <button type="button" class="btn btn-outline" style="font-size: 12px; margin-top: 8px;" onclick="app.addScholarshipRow()">
+                            <i class="ph ph-plus"></i> Ajouter une bourse
+                        </button>
                     </div>
-                    
+
                     <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
                         <button type="submit" class="btn btn-primary">Enregistrer</button>
@@ -1209,35 +4328,27 @@ const UI = {
         this.renderModal(modalHtml);
     },
 
-    showAddAbsenceModal() {
-        const students = Storage.getStudents();
+    // Also the edit form when `id` is given
+    showAddSubjectModal(id = null) {
+        const subject = id ? Storage.getSubjects().find(s => s.id === id) : null;
+        if (id && !subject) return;
+
         const modalHtml = `
-            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
-                <h3 style="margin-bottom: 24px;">Ajouter une Absence</h3>
-                <form onsubmit="app.handleAddAbsence(event)">
-                    <div class="form-group">
-                        <label class="form-label">Élève</label>
-                        <select name="studentId" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;">
-                            <option value="">Sélectionner un élève</option>
-                            ${students.map(s => `<option value="${s.id}">${s.lastName} ${s.firstName} (${s.studentId})</option>`).join('')}
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label class="form-label">Date</label>
-                        <input type="date" name="date" class="form-input" required value="${new Date().toISOString().split('T')[0]}">
-                    </div>
+            <div class="glass-panel" style="width: 400px; max-width: 90%; margin: 100px auto;">
+                <h3 style="margin-bottom: 24px;">${subject ? 'Modifier la Matière' : 'Nouvelle Matière'}</h3>
+                <form onsubmit="app.handleAddSubject(event)">
+                    <input type="hidden" name="id" value="${subject ? subject.id : ''}">
                     <div class="form-group">
-                        <label class="form-label">Nombre d'heures</label>
-                        <input type="number" name="hours" class="form-input" required min="1" placeholder="Ex: 2">
+                        <label class="form-label">Nom de la matière</label>
+                        <input type="text" name="name" class="form-input" required placeholder="Ex: Mathématiques" value="${subject ? subject.name.replace(/"/g, '&quot;') : ''}">
                     </div>
                     <div class="form-group">
-                        <label class="form-label">Motif</label>
-                        <input type="text" name="reason" class="form-input" placeholder="Ex: Maladie, RDV...">
+                        <label class="form-label">Coefficient (par défaut, ajustable par niveau)</label>
+                        <input type="number" name="coefficient" class="form-input" required min="0" step="0.5" value="${subject && subject.coefficient !== undefined ? subject.coefficient : 1}">
                     </div>
-                    
                     <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
-                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                        <button type="submit" class="btn btn-primary">${subject ? 'Enregistrer' : 'Ajouter'}</button>
                     </div>
                 </form>
             </div>
@@ -1245,40 +4356,34 @@ const UI = {
         this.renderModal(modalHtml);
     },
 
-    showAddFeeModal() {
-        const students = Storage.getStudents();
+    // Subject x level grid; an empty level cell falls back to the subject default
+    showCoefficientsModal() {
+        const subjects = Storage.getSubjects();
         const modalHtml = `
-            <div class="glass-panel" style="width: 450px; max-width: 90%; margin: 100px auto; position: relative;">
-                <h3 style="margin-bottom: 24px;">Enregistrer un Paiement</h3>
-                <form onsubmit="app.handleAddFee(event)">
-                    <div class="form-group">
-                        <label class="form-label">Élève</label>
-                        <select name="studentId" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;">
-                            <option value="">Sélectionner un élève</option>
-                            ${students.map(s => `<option value="${s.id}">${s.lastName} ${s.firstName} (${s.studentId})</option>`).join('')}
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label class="form-label">Mois Concerné</label>
-                        <select name="month" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;">
-                            <option value="Septembre">Septembre</option>
-                            <option value="Octobre">Octobre</option>
-                            <option value="Novembre">Novembre</option>
-                            <option value="Décembre">Décembre</option>
-                            <option value="Janvier">Janvier</option>
-                            <option value="Février">Février</option>
-                            <option value="Mars">Mars</option>
-                            <option value="Avril">Avril</option>
-                            <option value="Mai">Mai</option>
-                            <option value="Juin">Juin</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label class="form-label">Montant (FD)</label>
-                        <input type="number" name="amount" class="form-input" required value="15000" placeholder="15000">
-                        <p style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">Le montant doit être exactement 15000 FD.</p>
-                    </div>
-                    
+            <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 50px auto; max-height: 90vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Coefficients des Matières</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">Laisser une case de niveau vide pour appliquer le coefficient par défaut.</p>
+                <form onsubmit="app.handleSaveCoefficients(event)">
+                    <table class="data-table" style="font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Matière</th>
+                                <th style="text-align: center;">Défaut</th>
+                                ${LEVELS.map(level => `<th style="text-align: center;">${level}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${subjects.map(subj => `
+                                <tr>
+                                    <td>${subj.name}</td>
+                                    <td><input type="number" name="coef_${subj.id}" class="form-input" style="width: 70px; padding: 6px;" min="0" step="0.5" required value="${subj.coefficient !== undefined ? subj.coefficient : 1}"></td>
+                                    ${LEVELS.map(level => `
+                                        <td><input type="number" name="coef_${subj.id}_${level}" class="form-input" style="width: 70px; padding: 6px;" min="0" step="0.5" value="${(subj.coefficients || {})[level] !== undefined ? subj.coefficients[level] : ''}"></td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                     <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
                         <button type="submit" class="btn btn-primary">Enregistrer</button>
@@ -1289,18 +4394,34 @@ const UI = {
         this.renderModal(modalHtml);
     },
 
-    showAddSubjectModal() {
+    showWeeklyHoursModal() {
+        const subjects = Storage.getSubjects();
         const modalHtml = `
-            <div class="glass-panel" style="width: 400px; max-width: 90%; margin: 100px auto;">
-                <h3 style="margin-bottom: 24px;">Nouvelle Matière</h3>
-                <form onsubmit="app.handleAddSubject(event)">
-                    <div class="form-group">
-                        <label class="form-label">Nom de la matière</label>
-                        <input type="text" name="name" class="form-input" required placeholder="Ex: Mathématiques">
-                    </div>
+            <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 50px auto; max-height: 90vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Volumes Horaires Hebdomadaires</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 24px;">Heures par semaine et par classe. Laisser vide si la matière n'est pas enseignée à ce niveau.</p>
+                <form onsubmit="app.handleSaveWeeklyHours(event)">
+                    <table class="data-table" style="font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Matière</th>
+                                ${LEVELS.map(level => `<th style="text-align: center;">${level}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${subjects.map(subj => `
+                                <tr>
+                                    <td>${subj.name}</td>
+                                    ${LEVELS.map(level => `
+                                        <td><input type="number" name="hours_${subj.id}_${level}" class="form-input" style="width: 70px; padding: 6px;" min="0" step="0.5" value="${(subj.weeklyHours || {})[level] !== undefined ? subj.weeklyHours[level] : ''}"></td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                     <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
-                        <button type="submit" class="btn btn-primary">Ajouter</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
                     </div>
                 </form>
             </div>
@@ -1308,59 +4429,286 @@ const UI = {
         this.renderModal(modalHtml);
     },
 
-    showAddTeacherModal() {
-        const subjects = Storage.getSubjects();
+    // Also the edit form when `id` is given (credentials are kept)
+    showAddTeacherModal(id = null) {
+        const teacher = id ? Storage.getTeachers().find(t => t.id === id) : null;
+        if (id && !teacher) return;
+
         const modalHtml = `
             <div class="glass-panel" style="width: 600px; max-width: 90%; margin: 50px auto; max-height: 90vh; overflow-y: auto;">
-                <h3 style="margin-bottom: 24px;">Nouveau Professeur</h3>
+                <h3 style="margin-bottom: 24px;">${teacher ? 'Modifier le Professeur' : 'Nouveau Professeur'}</h3>
                 <form onsubmit="app.handleAddTeacher(event)">
-                    <div class="form-group">
-                        <label class="form-label">Nom et Prénom</label>
-                        <input type="text" name="fullName" class="form-input" required placeholder="Ex: Ali Mohamed">
-                    </div>
+                    <input type="hidden" name="id" value="${teacher ? teacher.id : ''}">
+                    ${this.nameFieldsHtml(teacher, 'Ex: Ali Mohamed')}
 
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
                         <div class="form-group">
                             <label class="form-label">Sexe</label>
                             <select name="sex" class="form-input" style="background: rgba(0,0,0,0.2); color:white;">
                                 <option value="H">Homme</option>
-                                <option value="F">Femme</option>
+                                <option value="F" ${teacher && teacher.sex === 'F' ? 'selected' : ''}>Femme</option>
                             </select>
                         </div>
                         <div class="form-group">
                             <label class="form-label">Téléphone</label>
-                            <input type="tel" name="phone" class="form-input" placeholder="Ex: 77 12 34 56">
+                            <input type="tel" name="phone" class="form-input" placeholder="Ex: 77 12 34 56" value="${teacher ? teacher.phone || '' : ''}">
                         </div>
                     </div>
 
                     <div class="form-group">
-                        <label class="form-label">Matière Enseignée</label>
-                        <select name="subjectId" class="form-input" required style="background: rgba(0,0,0,0.2); color:white;">
-                            <option value="">Choisir une matière</option>
-                            ${subjects.map(s => `<option value="${s.id}">${s.name}</option>`).join('')}
-                        </select>
+                        <label class="form-label">Service (h/sem.)</label>
+                        <input type="number" name="weeklyQuota" class="form-input" min="0" step="0.5" placeholder="${Storage.getSchoolSettings().teacherWeeklyQuota}" value="${teacher && teacher.weeklyQuota !== undefined ? teacher.weeklyQuota : ''}">
                     </div>
 
                     <div class="form-group" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid rgba(255,255,255,0.1);">
-                        <label class="form-label" style="margin-bottom: 8px;">Classes Enseignées</label>
+                        <label class="form-label" style="margin-bottom: 8px;">Matières et Classes Enseignées</label>
                         <div id="teacher-classes-container">
                             <!-- Rows will be added here -->
                         </div>
                         <button type="button" class="btn btn-outline" style="font-size: 12px; margin-top: 8px;" onclick="app.addTeacherClassRow()">
-                            <i class="ph ph-plus"></i> Ajouter une classe
+                            <i class="ph ph-plus"></i> Ajouter une affectation
                         </button>
                     </div>
 
                     <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
-                        <button type="submit" class="btn btn-primary">Enregistrer & Générer Accès</button>
+                        <button type="submit" class="btn btn-primary">${teacher ? 'Enregistrer' : 'Enregistrer & Générer Accès'}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+        // Existing assignments, or a first empty row by default
+        setTimeout(() => {
+            const assignments = teacher ? Storage.getTeacherAssignments(teacher) : [];
+            if (assignments.length === 0) app.addTeacherClassRow();
+            assignments.forEach(a => app.addTeacherClassRow(a));
+        }, 100);
+    },
+
+    showSettingsModal() {
+        const settings = Storage.getSchoolSettings();
+        const modalHtml = `
+            <div class="glass-panel" style="width: 500px; max-width: 90%; margin: 100px auto;">
+                <h3 style="margin-bottom: 24px;">Paramètres de l'Établissement</h3>
+                <form onsubmit="app.handleSaveSettings(event)">
+                    <div class="section-title">Retards</div>
+                    <div class="form-group">
+                        <label class="form-label">Nombre de retards équivalant à 1 heure d'absence</label>
+                        <input type="number" name="latesPerAbsenceHour" class="form-input" min="0" value="${settings.latesPerAbsenceHour}">
+                        <p style="font-size: 11px; color: var(--text-muted); margin-top: 4px;">0 = les retards ne sont pas convertis en heures d'absence.</p>
+                    </div>
+
+                    <div class="section-title">Alertes Absences</div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Heures non justifiées / trimestre</label>
+                            <input type="number" name="alertTermHours" class="form-input" min="0" value="${settings.alertTermHours}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Heures non justifiées / année</label>
+                            <input type="number" name="alertYearHours" class="form-input" min="0" value="${settings.alertYearHours}">
+                        </div>
+                    </div>
+                    <p style="font-size: 11px; color: var(--text-muted);">0 = seuil désactivé. Les retards convertis comptent comme non justifiés.</p>
+
+                    <div class="section-title">Bilan Annuel</div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px;">
+                        ${TERMS.map((term, i) => `
+                            <div class="form-group">
+                                <label class="form-label">Poids ${term}</label>
+                                <input type="number" name="termWeight_${i}" class="form-input" min="0" step="0.5" value="${settings.termWeights[term]}">
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Moyenne de passage</label>
+                            <input type="number" name="passAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.passAverage}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Moyenne minimale de redoublement</label>
+                            <input type="number" name="repeatAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.repeatAverage}">
+                        </div>
+                    </div>
+                    <p style="font-size: 11px; color: var(--text-muted);">En dessous de la moyenne de redoublement, l'exclusion est proposée.</p>
+
+                    <div class="section-title">Conseil de Classe (distinctions suggérées)</div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Félicitations dès</label>
+                            <input type="number" name="felicitationsAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.felicitationsAverage}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Tableau d'honneur dès</label>
+                            <input type="number" name="honourAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.honourAverage}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Encouragements dès</label>
+                            <input type="number" name="encouragementsAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.encouragementsAverage}">
+                        </div>
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                        <div class="form-group">
+                            <label class="form-label">Avert. travail sous</label>
+                            <input type="number" name="workWarningAverage" class="form-input" min="0" max="20" step="0.25" value="${settings.workWarningAverage}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Avert. conduite dès (h non justifiées)</label>
+                            <input type="number" name="conductWarningHours" class="form-input" min="0" value="${settings.conductWarningHours}">
+                        </div>
+                    </div>
+
+                    <div class="section-title">Service des Professeurs</div>
+                    <div class="form-group">
+                        <label class="form-label">Service hebdomadaire par défaut (h)</label>
+                        <input type="number" name="teacherWeeklyQuota" class="form-input" min="0" step="0.5" value="${settings.teacherWeeklyQuota}">
+                    </div>
+
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
                     </div>
                 </form>
             </div>
         `;
         this.renderModal(modalHtml);
-        // Add first row by default
-        setTimeout(() => app.addTeacherClassRow(), 100);
+    },
+
+    // Display name of a student / subject / teacher record
+    recordName(record) {
+        return record.name || `${record.lastName} ${record.firstName}`;
+    },
+
+    // Old records may point to an archived or deleted student
+    studentName(student) {
+        if (!student) return 'Élève Inconnu';
+        return `${student.lastName} ${student.firstName}${student.archived ? ' (archivé)' : ''}`;
+    },
+
+    dependentsListHtml(counts) {
+        return `
+            <table class="data-table" style="font-size: 13px;">
+                <tbody>
+                    ${Object.entries(counts).map(([key, n]) => `
+                        <tr><td>${DEPENDENT_LABELS[key]}</td><td style="text-align: right; font-weight: 600;">${n}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    // Delete of a record other records still point to: keep it, archive it or delete everything
+    showDeleteModal(entity, id, dependents) {
+        const info = ARCHIVABLE_ENTITIES[entity];
+        const record = Storage.get()[info.collection].find(r => r.id === id);
+        if (!record) return;
+        const keepsSlots = entity === 'teacher' ? ' Ses créneaux restent dans l\'emploi du temps, sans professeur.' : '';
+        // Payments keep the receipt numbering and the ledger: such a student can only be archived
+        const archiveOnly = !!dependents.fees;
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 520px; max-width: 90%; margin: 100px auto;">
+                <h3 style="margin-bottom: 8px;">Supprimer ${info.label} ${this.recordName(record)} ?</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 16px;">
+                    Ces données font encore référence à ${info.label} :
+                </p>
+                ${this.dependentsListHtml(dependents)}
+                <ul style="font-size: 13px; color: var(--text-muted); margin: 16px 0 0 18px; line-height: 1.6;">
+                    <li><strong>Archiver</strong> : ${info.label} disparaît des listes, son historique est conservé et peut être restauré.</li>
+                    ${archiveOnly
+                ? '<li>Des paiements sont enregistrés : la suppression est impossible, pour garder la numérotation des reçus et les totaux de caisse.</li>'
+                : `<li><strong>Tout supprimer</strong> : ${info.label} et ces données sont supprimés définitivement.${keepsSlots}</li>`}
+                </ul>
+                <div style="display: flex; gap: 12px; margin-top: 24px; justify-content: flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                    <button type="button" class="btn btn-outline" onclick="app.archiveRecord('${entity}', '${id}')">
+                        <i class="ph ph-archive"></i> Archiver
+                    </button>
+                    ${archiveOnly ? '' : `
+                        <button type="button" class="btn btn-primary" style="background: #ef4444;" onclick="app.cascadeDelete('${entity}', '${id}')">
+                            <i class="ph ph-trash"></i> Tout supprimer
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    // Maintenance: references to missing students / subjects / teachers, and archived records
+    showIntegrityModal() {
+        const orphans = Storage.findOrphans();
+        const archived = Storage.getArchived();
+        const missing = { student: 'Élève supprimé', subject: 'Matière supprimée', teacher: 'Professeur supprimé' };
+        const repairLabel = { student: 'supprimer', subject: 'supprimer', teacher: 'retirer le professeur' };
+
+        const orphanRows = Object.keys(orphans).flatMap(entity =>
+            Object.entries(orphans[entity].counts).map(([key, n]) => {
+                // Payments are accounting records: only removed on purpose
+                const checked = key === 'fees' ? '' : 'checked';
+                const action = entity === 'subject' && key === 'assignments' ? 'retirer l\'affectation' : repairLabel[entity];
+                return `
+                    <tr>
+                        <td><input type="checkbox" name="repair" value="${entity}|${key}" ${checked}></td>
+                        <td>${DEPENDENT_LABELS[key]}</td>
+                        <td>${missing[entity]} (${orphans[entity].ids.length})</td>
+                        <td style="text-align: right; font-weight: 600;">${n}</td>
+                        <td style="color: var(--text-muted);">${action}</td>
+                    </tr>
+                `;
+            })
+        );
+
+        const archivedRows = Object.keys(archived).flatMap(entity => archived[entity].map(record => `
+            <tr>
+                <td>${this.recordName(record)}</td>
+                <td>${ARCHIVABLE_ENTITIES[entity].type}</td>
+                <td>${new Date(record.archivedAt).toLocaleDateString('fr-FR')}</td>
+                <td style="text-align: right;">
+                    <button type="button" class="btn btn-outline" style="font-size: 12px; padding: 4px 8px;" onclick="app.restoreRecord('${entity}', '${record.id}')">
+                        <i class="ph ph-arrow-counter-clockwise"></i> Restaurer
+                    </button>
+                </td>
+            </tr>
+        `));
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 700px; max-width: 90%; margin: 60px auto; max-height: 85vh; overflow-y: auto;">
+                <h3 style="margin-bottom: 8px;">Intégrité des Données</h3>
+                <p style="color: var(--text-muted); font-size: 13px; margin-bottom: 16px;">
+                    Données qui font référence à un élève, une matière ou un professeur qui n'existe plus.
+                </p>
+                ${orphanRows.length === 0 ? '<p style="color: var(--text-muted); text-align: center; padding: 16px;">Aucune donnée orpheline.</p>' : `
+                    <form onsubmit="app.handleRepairOrphans(event)">
+                        <table class="data-table" style="font-size: 13px;">
+                            <thead>
+                                <tr><th></th><th>Données</th><th>Référence</th><th style="text-align: right;">Nombre</th><th>Réparation</th></tr>
+                            </thead>
+                            <tbody>${orphanRows.join('')}</tbody>
+                        </table>
+                        <div style="display: flex; margin-top: 16px; justify-content: flex-end;">
+                            <button type="submit" class="btn btn-primary"><i class="ph ph-wrench"></i> Réparer la sélection</button>
+                        </div>
+                    </form>
+                `}
+
+                <div class="section-title">Archives</div>
+                ${archivedRows.length === 0 ? '<p style="color: var(--text-muted); text-align: center; padding: 16px;">Aucun élément archivé.</p>' : `
+                    <table class="data-table" style="font-size: 13px;">
+                        <thead>
+                            <tr><th>Nom</th><th>Type</th><th>Archivé le</th><th></th></tr>
+                        </thead>
+                        <tbody>${archivedRows.join('')}</tbody>
+                    </table>
+                `}
+
+                <div style="display: flex; margin-top: 24px; justify-content: flex-end;">
+                    <button type="button" class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                </div>
+            </div>
+        `;
+        this.renderModal(modalHtml);
     },
 
     renderModal(htmlContent) {
@@ -1427,6 +4775,7 @@ const UI = {
                                 </td>
                                 <td>
                                     <button class="btn-icon" onclick="app.resetUserPassword('principal', '${p.id}')" title="Réinitialiser MDP"><i class="ph ph-arrow-counter-clockwise"></i></button>
+                                    <button class="btn-icon" onclick="app.showAddPrincipalModal('${p.id}')" title="Modifier"><i class="ph ph-pencil-simple"></i></button>
                                     <button class="btn-icon" onclick="app.deletePrincipal('${p.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
                                 </td>
                             </tr>
@@ -1477,7 +4826,7 @@ const UI = {
                 if (avatarContainer) avatarContainer.innerHTML = `<i class="ph ph-user"></i>`;
 
             } else if (role === 'principal') {
-                const schoolMenus = ['dashboard', 'students', 'absences', 'fees', 'subjects', 'teachers', 'supervisors', 'grades'];
+                const schoolMenus = ['dashboard', 'students', 'absences', 'fees', 'subjects', 'teachers', 'supervisors', 'grades', 'timetable'];
                 schoolMenus.forEach(view => {
                     const btn = document.querySelector(`button[onclick="app.navigate('${view}')"]`);
                     if (btn) btn.style.display = '';
@@ -1488,7 +4837,7 @@ const UI = {
                 updateAvatar();
 
             } else if (role === 'supervisor') {
-                const srvMenus = ['absences'];
+                const srvMenus = ['absences', 'timetable'];
                 srvMenus.forEach(view => {
                     const btn = document.querySelector(`button[onclick="app.navigate('${view}')"]`);
                     if (btn) btn.style.display = '';
@@ -1499,7 +4848,7 @@ const UI = {
                 updateAvatar();
 
             } else if (role === 'teacher') {
-                const teacherMenus = ['grades'];
+                const teacherMenus = ['grades', 'absences', 'timetable'];
                 teacherMenus.forEach(view => {
                     const btn = document.querySelector(`button[onclick="app.navigate('${view}')"]`);
                     if (btn) btn.style.display = '';
@@ -1516,34 +4865,205 @@ const UI = {
         }
     },
 
-    showStudentReportCard(studentId) {
-        const student = Storage.getStudents().find(s => s.id === studentId);
-        if (!student) return;
-
-        // Determine active term (simple selector or default)
-        // For now, let's ask the user or default to "Trimestre 1" if complex.
-        // Or simpler: Show a small modal to pick term, THEN show report.
-        // Let's just show Term 1 by default, or better, show the report with a select inside it?
-        // Printing needs static content. Let's PICK the current term.
-        // Using a prompt for simplicity or standard T1. Assuming T1 for demo unless we add a selector.
-        // Let's add a robust Term Selector in the modal itself before generating the view?
-        // No, let's just show "Trimestre 1" initially and allow switching in the modal (swapping HTML).
+    showStudentReportCard(studentId) {
+        const student = Storage.getStudents().find(s => s.id === studentId);
+        if (!student) return;
+
+        // Determine active term (simple selector or default)
+        // For now, let's ask the user or default to "Trimestre 1" if complex.
+        // Or simpler: Show a small modal to pick term, THEN show report.
+        // Let's just show Term 1 by default, or better, show the report with a select inside it?
+        // Printing needs static content. Let's PICK the current term.
+        // Using a prompt for simplicity or standard T1. Assuming T1 for demo unless we add a selector.
+        // Let's add a robust Term Selector in the modal itself before generating the view?
+        // No, let's just show "Trimestre 1" initially and allow switching in the modal (swapping HTML).
+
+        let term = "Trimestre 1";
+        this.renderReportCardModal(student, term);
+    },
+
+    renderReportCardModal(student, term) {
+        if (term === 'annual') {
+            this.renderAnnualReportModal(student);
+            return;
+        }
+        const stats = this.getClassReportStats(student.level, student.classroom, term);
+
+        // HTML Template
+        const html = `
+             <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 20px auto; color: var(--text-main); position: relative;">
+                 <div class="no-print" style="position: absolute; right: 20px; top: 20px; display: flex; gap: 10px;">
+                     <select id="report-term-select" class="form-input" style="width: 150px; padding: 6px;" onchange="app.switchReportTerm('${student.id}', this.value)">
+                         <option value="Trimestre 1" ${term === 'Trimestre 1' ? 'selected' : ''}>Trimestre 1</option>
+                         <option value="Trimestre 2" ${term === 'Trimestre 2' ? 'selected' : ''}>Trimestre 2</option>
+                         <option value="Trimestre 3" ${term === 'Trimestre 3' ? 'selected' : ''}>Trimestre 3</option>
+                         <option value="annual">Bilan annuel</option>
+                     </select>
+                     <button class="btn btn-primary" onclick="window.print()">
+                         <i class="ph ph-printer"></i> Imprimer
+                     </button>
+                     <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                 </div>
+ 
+                 ${this.reportCardHtml(student, term, stats)}
+             </div>
+         `;
+
+        this.renderModal(html);
+    },
+
+    // Every bulletin of a class, one per printed page
+    renderClassReportCards(level, classroom, term) {
+        const stats = this.getClassReportStats(level, classroom, term);
+        const students = [...stats.classStudents].sort((a, b) => a.lastName.localeCompare(b.lastName));
+
+        const html = `
+             <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 20px auto; color: var(--text-main);">
+                 <div class="no-print" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                     <h3>Bulletins ${level}${classroom || ''} - ${term} (${students.length})</h3>
+                     <div style="display: flex; gap: 10px;">
+                         <button class="btn btn-primary" onclick="window.print()">
+                             <i class="ph ph-printer"></i> Imprimer
+                         </button>
+                         <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                     </div>
+                 </div>
+                 ${students.map(student => `
+                     <div style="margin-bottom: 20px; page-break-after: always;">
+                         ${this.reportCardHtml(student, term, stats)}
+                     </div>
+                 `).join('')}
+             </div>
+         `;
+
+        this.renderModal(html);
+    },
+
+    // Council entry sheet: one row per student with the suggested distinction preselected
+    showClassCouncilModal(level, classroom, term) {
+        const stats = this.getClassReportStats(level, classroom, term);
+        const students = [...stats.classStudents].sort((a, b) => a.lastName.localeCompare(b.lastName));
+
+        const rows = students.map(student => {
+            const entry = stats.studentAverages.find(x => x.studentId === student.id);
+            const average = entry ? entry.val : NaN;
+            const summary = Storage.getStudentAbsenceSummary(student.id, term, { absences: stats.absences, settings: stats.settings });
+            return {
+                student,
+                average,
+                rank: entry ? stats.studentAverages.findIndex(x => Math.abs(x.val - average) < 0.001) + 1 : 0,
+                unjustifiedHours: Storage.getUnjustifiedHours(summary),
+                suggested: Storage.suggestCouncilMention(average, summary, stats.settings),
+                saved: stats.councilDecisions.find(d => d.studentId === student.id)
+            };
+        });
+
+        const modalHtml = `
+            <div class="glass-panel" style="width: 950px; max-width: 95%; margin: 40px auto; max-height: 90vh; overflow-y: auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
+                    <h3>Conseil de Classe - ${level}${classroom || ''} - ${term}</h3>
+                    <button class="btn btn-outline" onclick="app.printClassMentions('${term}', '${level}', '${classroom || ''}')">
+                        <i class="ph ph-printer"></i> Liste des distinctions
+                    </button>
+                </div>
+                <form onsubmit="app.handleSaveClassCouncil(event)">
+                    <input type="hidden" name="term" value="${term}">
+                    <input type="hidden" name="level" value="${level}">
+                    <input type="hidden" name="classroom" value="${classroom || ''}">
+                    <table class="data-table" style="font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Élève</th>
+                                <th style="text-align: center;">Moy. Gén.</th>
+                                <th style="text-align: center;">Rang</th>
+                                <th style="text-align: center;">Abs. non just.</th>
+                                <th>Distinction</th>
+                                <th>Appréciation du conseil</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(r => `
+                                <tr>
+                                    <td style="font-weight: 600;">${r.student.lastName} ${r.student.firstName}</td>
+                                    <td style="text-align: center;">${!isNaN(r.average) ? r.average.toFixed(2) : '-'}</td>
+                                    <td style="text-align: center;">${r.rank || '-'}</td>
+                                    <td style="text-align: center;">${r.unjustifiedHours}h</td>
+                                    <td>
+                                        <select name="mention_${r.student.id}" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;">
+                                            <option value="">Aucune</option>
+                                            ${Object.keys(COUNCIL_MENTIONS).map(key => `<option value="${key}" ${key === (r.saved ? r.saved.mention : r.suggested) ? 'selected' : ''}>${COUNCIL_MENTIONS[key].label}${key === r.suggested ? ' (suggérée)' : ''}</option>`).join('')}
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input type="text" name="council_${r.student.id}" class="form-input" style="padding: 6px; font-size: 12px;" placeholder="Ex: Bon trimestre, continuez ainsi" value="${r.saved ? r.saved.appreciation || '' : ''}">
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div style="display: flex; gap: 12px; margin-top: 32px; justify-content: flex-end;">
+                        <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
+                        <button type="submit" class="btn btn-primary">Enregistrer</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        this.renderModal(modalHtml);
+    },
+
+    // Printable list of the recorded distinctions of a class, grouped by distinction
+    renderClassMentionsModal(level, classroom, term) {
+        const students = Storage.getStudents();
+        const decisions = Storage.getCouncilDecisions(term).filter(d => {
+            const s = students.find(x => x.id === d.studentId);
+            return s && d.mention && s.level === level && String(s.classroom || '') === String(classroom || '');
+        });
 
-        let term = "Trimestre 1";
-        this.renderReportCardModal(student, term);
+        const html = `
+            <div class="glass-panel" style="width: 700px; max-width: 95%; margin: 20px auto;">
+                <div class="no-print" style="display: flex; justify-content: flex-end; gap: 10px; margin-bottom: 20px;">
+                    <button class="btn btn-primary" onclick="window.print()">
+                        <i class="ph ph-printer"></i> Imprimer
+                    </button>
+                    <button class="btn btn-outline" onclick="app.showClassCouncil('${term}', '${level}', '${classroom || ''}')">Retour</button>
+                </div>
+                <div style="background: white; color: black; padding: 40px; border-radius: 4px;">
+                    <h2 style="margin: 0 0 4px 0; font-size: 20px; text-transform: uppercase;">${this.getCollegeName()}</h2>
+                    <p style="margin: 0 0 24px 0; font-size: 14px;">Conseil de classe ${level}${classroom || ''} - ${term} - ${Storage.getSchoolYear()}</p>
+                    ${decisions.length === 0 ? '<p>Aucune distinction enregistrée.</p>' : Object.keys(COUNCIL_MENTIONS).map(key => {
+            const list = decisions.filter(d => d.mention === key)
+                .map(d => students.find(x => x.id === d.studentId))
+                .sort((a, b) => a.lastName.localeCompare(b.lastName));
+            if (list.length === 0) return '';
+            return `
+                            <h4 style="margin: 16px 0 8px 0; border-bottom: 1px solid black;">${COUNCIL_MENTIONS[key].label} (${list.length})</h4>
+                            <ul style="margin: 0; padding-left: 20px; font-size: 14px;">
+                                ${list.map(s => `<li>${s.lastName} ${s.firstName}</li>`).join('')}
+                            </ul>
+                        `;
+        }).join('')}
+                </div>
+            </div>
+        `;
+        this.renderModal(html);
     },
 
-    renderReportCardModal(student, term) {
-        // ... (Keep existing implementation logic) ...
+    // Class benchmarks of a term (subject averages and score lists, general averages, ranking).
+    // Computed once and shared by every bulletin of the class.
+    getClassReportStats(level, classroom, term) {
         // --- 1. Gather Context Data for Statistics ---
-        const allStudents = Storage.getStudents();
         // Filter students in the SAME class (Level + Classroom)
-        const classStudents = allStudents.filter(s =>
-            s.level === student.level &&
-            String(s.classroom || '') === String(student.classroom || '')
+        const classStudents = Storage.getStudents().filter(s =>
+            s.level === level &&
+            String(s.classroom || '') === String(classroom || '')
         );
 
         const subjects = Storage.getSubjects();
+        // Grades of the term, fetched once per subject
+        const gradesBySubject = {};
+        subjects.forEach(subj => {
+            gradesBySubject[subj.id] = Storage.getGrades(subj.id, term);
+        });
 
         // Data Structures for Stats
         // subjectStats[subjId] = { scores: [val, val...], sum: 0, avg: 0 }
@@ -1558,28 +5078,24 @@ const UI = {
 
         // Loop through ALL students in class to build benchmarks
         classStudents.forEach(s => {
-            let studentTotal = 0;
-            let studentCoeff = 0;
+            const averages = {};
 
             subjects.forEach(subj => {
                 // Get grade for this student & subject
-                // Note: Optimization - Storage.getGrades gets ALL grades for a subject/term.
-                // It might be better to fetch once outside, but typical dataset size allows this.
-                const gradesList = Storage.getGrades(subj.id, term);
-                const g = gradesList.find(x => x.studentId === s.id);
+                const g = gradesBySubject[subj.id].find(x => x.studentId === s.id);
 
                 if (g && g.average) {
                     const val = parseFloat(g.average);
                     if (!isNaN(val)) {
                         subjectStats[subj.id].scores.push(val);
-                        studentTotal += val;
-                        studentCoeff++;
+                        averages[subj.id] = val;
                     }
                 }
             });
 
-            if (studentCoeff > 0) {
-                const genAvg = studentTotal / studentCoeff;
+            // Weighted by the level coefficients
+            const genAvg = Storage.getGeneralAverage(averages, subjects, s.level);
+            if (!isNaN(genAvg)) {
                 studentAverages.push({ studentId: s.id, val: genAvg });
             }
         });
@@ -1605,15 +5121,28 @@ const UI = {
             studentAverages.sort((a, b) => b.val - a.val);
         }
 
+        return {
+            classStudents, subjects, gradesBySubject, subjectStats, studentAverages, classGeneralAvg,
+            absences: Storage.getAbsences(),
+            settings: Storage.getSchoolSettings(),
+            councilDecisions: Storage.getCouncilDecisions(term),
+            gradeStatuses: Storage.getGradeStatuses(term).filter(r => r.level === level && String(r.classroom || '') === String(classroom || ''))
+        };
+    },
+
+    // Printable bulletin of one student (white sheet), from the class stats of the term
+    reportCardHtml(student, term, stats) {
+        const { classStudents, subjects, gradesBySubject, subjectStats, studentAverages, classGeneralAvg } = stats;
+
         // --- 2. Build Report Data for THIS Student ---
         const reportData = [];
         let totalSum = 0;
         let totalCoeff = 0;
 
         subjects.forEach(subj => {
-            const gradesList = Storage.getGrades(subj.id, term);
-            const g = gradesList.find(x => x.studentId === student.id);
+            const g = gradesBySubject[subj.id].find(x => x.studentId === student.id);
             const avg = g ? parseFloat(g.average) : NaN;
+            const coeff = Storage.getSubjectCoefficient(subj, student.level);
 
             // Statistics
             const classAvg = !isNaN(subjectStats[subj.id].avg) ? subjectStats[subj.id].avg.toFixed(2) : "-";
@@ -1633,6 +5162,8 @@ const UI = {
                 subject: subj.name,
                 grades: g ? (g.values || []).filter(v => v !== "").join(", ") : "-",
                 average: !isNaN(avg) ? avg.toFixed(2) : "-",
+                coeff: coeff,
+                points: !isNaN(avg) ? (avg * coeff).toFixed(2) : "-",
                 classAvg: classAvg,
                 classAvg: classAvg,
                 rank: rank !== "-" ? `${rank}<sup style="font-size:10px">${rankSuffix}</sup>/${totalRanked}` : "-",
@@ -1641,8 +5172,8 @@ const UI = {
             });
 
             if (!isNaN(avg)) {
-                totalSum += avg;
-                totalCoeff += 1;
+                totalSum += avg * coeff;
+                totalCoeff += coeff;
             }
         });
 
@@ -1665,22 +5196,23 @@ const UI = {
         }
 
 
-        // HTML Template
-        const html = `
-             <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 20px auto; color: var(--text-main); position: relative;">
-                 <div class="no-print" style="position: absolute; right: 20px; top: 20px; display: flex; gap: 10px;">
-                     <select id="report-term-select" class="form-input" style="width: 150px; padding: 6px;" onchange="app.switchReportTerm('${student.id}', this.value)">
-                         <option value="Trimestre 1" ${term === 'Trimestre 1' ? 'selected' : ''}>Trimestre 1</option>
-                         <option value="Trimestre 2" ${term === 'Trimestre 2' ? 'selected' : ''}>Trimestre 2</option>
-                         <option value="Trimestre 3" ${term === 'Trimestre 3' ? 'selected' : ''}>Trimestre 3</option>
-                     </select>
-                     <button class="btn btn-primary" onclick="window.print()">
-                         <i class="ph ph-printer"></i> Imprimer
-                     </button>
-                     <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
-                 </div>
- 
-                 <div id="report-card-content" style="background: white; color: black; padding: 40px; border-radius: 4px;">
+        const absenceSummary = Storage.getStudentAbsenceSummary(student.id, term, { absences: stats.absences, settings: stats.settings });
+        const council = stats.councilDecisions.find(d => d.studentId === student.id) || {};
+
+        // Subjects whose marks are on this bulletin but not validated yet
+        const unvalidated = subjects.filter(subj => {
+            const record = stats.gradeStatuses.find(r => r.subjectId === subj.id);
+            const validated = record && (record.status === 'validated' || record.status === 'locked');
+            return !validated && gradesBySubject[subj.id].some(g => g.studentId === student.id);
+        });
+
+        return `
+                 ${unvalidated.length > 0 ? `
+                     <div class="no-print" style="margin: 50px 0 12px; padding: 10px 14px; border-radius: 4px; background: rgba(251, 191, 36, 0.15); color: #fbbf24; font-size: 13px;">
+                         <i class="ph-bold ph-warning"></i> Notes non validées : ${unvalidated.map(subj => subj.name).join(', ')}. Ce bulletin est provisoire.
+                     </div>
+                 ` : ''}
+                 <div class="report-card-content" style="background: white; color: black; padding: 40px; border-radius: 4px;">
                      <!-- Header -->
                      <div style="border-bottom: 2px solid black; padding-bottom: 20px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-start;">
                          <div>
@@ -1690,6 +5222,7 @@ const UI = {
                          <div style="text-align: right;">
                              <h3 style="margin: 0; font-size: 18px;">BULLETIN DE NOTES</h3>
                              <p style="margin: 4px 0 0 0; font-weight: bold; font-size: 16px;">${term}</p>
+                             ${unvalidated.length > 0 ? '<p style="margin: 4px 0 0 0; font-size: 12px; font-weight: bold; letter-spacing: 1px;">PROVISOIRE</p>' : ''}
                          </div>
                      </div>
  
@@ -1702,7 +5235,7 @@ const UI = {
                              </tr>
                              <tr style="border: none !important;">
                                  <td style="border: none !important; padding: 4px;"><strong>Matricule :</strong> ${student.studentId}</td>
-                                 <td style="border: none !important; padding: 4px; text-align: right;"><strong>Élèves dans la classe :</strong> ${allStudents.filter(s => s.level === student.level && s.classroom === student.classroom).length}</td>
+                                 <td style="border: none !important; padding: 4px; text-align: right;"><strong>Élèves dans la classe :</strong> ${classStudents.length}</td>
                              </tr>
                          </table>
                      </div>
@@ -1713,6 +5246,8 @@ const UI = {
                              <tr style="background: #eee;">
                                  <th style="border: 1px solid black; padding: 8px; text-align: left;">Matière</th>
                                  <th style="border: 1px solid black; padding: 8px; text-align: center; width: 60px;">Moy.</th>
+                                 <th style="border: 1px solid black; padding: 8px; text-align: center; width: 50px;">Coef.</th>
+                                 <th style="border: 1px solid black; padding: 8px; text-align: center; width: 60px;">Points</th>
                                  <th style="border: 1px solid black; padding: 8px; text-align: center; width: 60px; background: #f0f0f0;">Moy. Classe</th>
                                  <th style="border: 1px solid black; padding: 8px; text-align: center; width: 80px;">Rang</th>
                                  <th style="border: 1px solid black; padding: 8px; text-align: left; width: 140px;">Appréciation</th>
@@ -1724,6 +5259,8 @@ const UI = {
                                  <tr>
                                      <td style="border: 1px solid black; padding: 8px; font-weight: 500;">${d.subject}</td>
                                      <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: bold;">${d.average}</td>
+                                     <td style="border: 1px solid black; padding: 8px; text-align: center;">${d.coeff}</td>
+                                     <td style="border: 1px solid black; padding: 8px; text-align: center;">${d.points}</td>
                                      <td style="border: 1px solid black; padding: 8px; text-align: center; color: #555; background: #fafafa;">${d.classAvg}</td>
                                      <td style="border: 1px solid black; padding: 8px; text-align: center;">${d.rank}</td>
                                      <td style="border: 1px solid black; padding: 8px; font-size: 12px;">${d.appreciation}</td>
@@ -1733,11 +5270,13 @@ const UI = {
                          </tbody>
                          <tfoot>
                              <tr style="border-top: 2px solid black;">
-                                 <td colspan="5" style="height: 10px; border: none;"></td>
+                                 <td colspan="8" style="height: 10px; border: none;"></td>
                              </tr>
                              <tr style="">
                                  <td style="border: 1px solid black; padding: 8px; font-weight: bold; text-align: right;">MOYENNE GÉNÉRALE</td>
                                  <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: 800; font-size: 16px;">${generalAvg}</td>
+                                 <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: bold;">${totalCoeff}</td>
+                                 <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: bold;">${totalSum.toFixed(2)}</td>
                                  <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: bold; font-size: 14px; background: #fafafa; color: #555;">${classGeneralAvg}</td>
                                  <td style="border: 1px solid black; padding: 8px; text-align: center; font-weight: bold;">${generalRank !== "-" ? `${generalRank}<sup style="font-size:10px">${generalRankSuffix}</sup>` : "-"}</td>
                                  <td style="border: 1px solid black; padding: 8px;"></td>
@@ -1745,7 +5284,21 @@ const UI = {
                              </tr>
                          </tfoot>
                      </table>
- 
+
+                     <!-- Absences -->
+                     <div style="margin-bottom: 30px; padding: 10px; border: 1px solid black; font-size: 13px; display: flex; justify-content: space-between;">
+                         <span><strong>Absences du trimestre :</strong> ${absenceSummary.total} h</span>
+                         <span>Justifiées : ${absenceSummary.justified} h</span>
+                         <span>Non justifiées : ${absenceSummary.unjustified + absenceSummary.pending} h</span>
+                         <span>Retards : ${absenceSummary.lateCount}${absenceSummary.latePenalty > 0 ? ` (= ${absenceSummary.latePenalty} h)` : ''}</span>
+                     </div>
+
+                     <!-- Conseil de classe -->
+                     <div style="margin-bottom: 30px; padding: 10px; border: 1px solid black; font-size: 13px;">
+                         <p style="margin: 0 0 8px 0;"><strong>Appréciation du conseil de classe :</strong> ${council.appreciation || ''}</p>
+                         <p style="margin: 0;"><strong>Distinction :</strong> ${council.mention ? COUNCIL_MENTIONS[council.mention].label : '-'}</p>
+                     </div>
+
                       <!-- Footer Signatures -->
                      <div style="display: flex; justify-content: space-between; margin-top: 40px;">
                          <div style="text-align: center; width: 200px;">
@@ -1760,6 +5313,154 @@ const UI = {
                          Bulletin généré le ${new Date().toLocaleDateString()} via EduTrack - Système de Gestion Scolaire
                      </div>
                  </div>
+        `;
+    },
+
+    // "Bilan annuel": the three terms side by side, annual average and rank, year-end decision
+    renderAnnualReportModal(student) {
+        const settings = Storage.getSchoolSettings();
+        const subjects = Storage.getSubjects();
+        const grades = Storage.filterByOwner(Storage.get().grades);
+        const context = { grades, subjects, settings };
+        const fmt = (val) => !isNaN(val) ? val.toFixed(2) : '-';
+
+        const classStudents = Storage.getStudents().filter(s =>
+            s.level === student.level &&
+            String(s.classroom || '') === String(student.classroom || '')
+        );
+
+        // Annual ranking of the class (ties share the same rank)
+        const classAnnuals = classStudents
+            .map(s => Storage.getStudentAnnualAverage(s, context).annual)
+            .filter(val => !isNaN(val))
+            .sort((a, b) => b - a);
+        const { terms, annual } = Storage.getStudentAnnualAverage(student, context);
+        const rank = !isNaN(annual) ? classAnnuals.findIndex(val => Math.abs(val - annual) < 0.001) + 1 : 0;
+        const classAnnual = classAnnuals.length > 0 ? classAnnuals.reduce((a, b) => a + b, 0) / classAnnuals.length : NaN;
+
+        // Per subject: term averages combined with the same term weights
+        const rows = subjects.map(subj => {
+            const termAverages = {};
+            TERMS.forEach(term => {
+                const g = grades.find(x => x.studentId === student.id && x.subjectId === subj.id && x.term === term);
+                termAverages[term] = g ? parseFloat(g.average) : NaN;
+            });
+            return {
+                subject: subj.name,
+                coeff: Storage.getSubjectCoefficient(subj, student.level),
+                terms: termAverages,
+                annual: Storage.combineTermAverages(termAverages, settings)
+            };
+        });
+
+        const proposed = Storage.proposeYearDecision(annual, settings);
+        const confirmed = Storage.getYearDecision(student.id);
+        const decision = confirmed ? confirmed.decision : proposed;
+        // Current school year only: the three terms summed, as getAbsenceAlerts does
+        const absenceContext = { absences: Storage.getAbsences(), settings };
+        const absenceSummary = { total: 0, unjustified: 0, pending: 0 };
+        TERMS.forEach(t => {
+            const termSummary = Storage.getStudentAbsenceSummary(student.id, t, absenceContext);
+            Object.keys(absenceSummary).forEach(key => absenceSummary[key] += termSummary[key]);
+        });
+        const isPrincipal = sessionStorage.getItem('edutrack_role') === 'principal';
+        const cell = 'border: 1px solid black; padding: 8px; text-align: center;';
+
+        const html = `
+             <div class="glass-panel" style="width: 800px; max-width: 95%; margin: 20px auto; color: var(--text-main); position: relative;">
+                 <div class="no-print" style="position: absolute; right: 20px; top: 20px; display: flex; gap: 10px;">
+                     <select id="report-term-select" class="form-input" style="width: 150px; padding: 6px;" onchange="app.switchReportTerm('${student.id}', this.value)">
+                         ${TERMS.map(term => `<option value="${term}">${term}</option>`).join('')}
+                         <option value="annual" selected>Bilan annuel</option>
+                     </select>
+                     <button class="btn btn-primary" onclick="window.print()">
+                         <i class="ph ph-printer"></i> Imprimer
+                     </button>
+                     <button class="btn btn-outline" onclick="app.closeModal()">Fermer</button>
+                 </div>
+
+                 <div class="report-card-content" style="background: white; color: black; padding: 40px; border-radius: 4px;">
+                     <div style="border-bottom: 2px solid black; padding-bottom: 20px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-start;">
+                         <div>
+                             <h2 style="margin: 0; font-size: 24px; font-weight: bold; text-transform: uppercase;">${this.getCollegeName()}</h2>
+                             <p style="margin: 4px 0 0 0; font-size: 14px;">Année Scolaire ${Storage.getSchoolYear().replace('-', ' - ')}</p>
+                         </div>
+                         <div style="text-align: right;">
+                             <h3 style="margin: 0; font-size: 18px;">BILAN ANNUEL</h3>
+                         </div>
+                     </div>
+
+                     <div style="margin-bottom: 30px; padding: 10px; border: 1px solid black; background: #f9f9f9; display: flex; justify-content: space-between; font-size: 14px;">
+                         <span><strong>Nom & Prénom :</strong> ${student.lastName} ${student.firstName}</span>
+                         <span><strong>Matricule :</strong> ${student.studentId}</span>
+                         <span><strong>Classe :</strong> ${student.level} ${student.classroom || ''}</span>
+                     </div>
+
+                     <table style="width: 100%; border-collapse: collapse; margin-bottom: 30px; font-size: 13px;">
+                         <thead>
+                             <tr style="background: #eee;">
+                                 <th style="border: 1px solid black; padding: 8px; text-align: left;">Matière</th>
+                                 <th style="${cell} width: 50px;">Coef.</th>
+                                 ${TERMS.map(term => `<th style="${cell} width: 80px;">${term.replace('Trimestre ', 'T')} <span style="font-weight: 400; font-size: 10px;">(×${settings.termWeights[term]})</span></th>`).join('')}
+                                 <th style="${cell} width: 80px;">Moy. Annuelle</th>
+                             </tr>
+                         </thead>
+                         <tbody>
+                             ${rows.map(r => `
+                                 <tr>
+                                     <td style="border: 1px solid black; padding: 8px; font-weight: 500;">${r.subject}</td>
+                                     <td style="${cell}">${r.coeff}</td>
+                                     ${TERMS.map(term => `<td style="${cell}">${fmt(r.terms[term])}</td>`).join('')}
+                                     <td style="${cell} font-weight: bold;">${fmt(r.annual)}</td>
+                                 </tr>
+                             `).join('')}
+                         </tbody>
+                         <tfoot>
+                             <tr style="border-top: 2px solid black;">
+                                 <td colspan="2" style="border: 1px solid black; padding: 8px; font-weight: bold; text-align: right;">MOYENNE GÉNÉRALE</td>
+                                 ${TERMS.map(term => `<td style="${cell} font-weight: bold;">${fmt(terms[term])}</td>`).join('')}
+                                 <td style="${cell} font-weight: 800; font-size: 16px;">${fmt(annual)}</td>
+                             </tr>
+                         </tfoot>
+                     </table>
+
+                     <div style="margin-bottom: 30px; padding: 10px; border: 1px solid black; font-size: 13px; display: flex; justify-content: space-between;">
+                         <span><strong>Rang annuel :</strong> ${rank > 0 ? `${rank}<sup style="font-size:10px">${rank === 1 ? 'er' : 'ème'}</sup>/${classAnnuals.length}` : '-'}</span>
+                         <span><strong>Moyenne de la classe :</strong> ${fmt(classAnnual)}</span>
+                         <span><strong>Absences de l'année :</strong> ${absenceSummary.total} h (dont ${absenceSummary.unjustified + absenceSummary.pending} h non justifiées)</span>
+                     </div>
+
+                     <div style="margin-bottom: 30px; padding: 16px; border: 2px solid black; font-size: 14px;">
+                         <strong>Décision du conseil :</strong>
+                         ${decision ? YEAR_DECISIONS[decision].label.toUpperCase() : 'Non déterminée (aucune note)'}
+                         ${confirmed && confirmed.decision !== confirmed.proposed && confirmed.proposed ? `<span style="font-size: 11px; color: #555;">(proposition : ${YEAR_DECISIONS[confirmed.proposed].label})</span>` : ''}
+                         ${!confirmed && decision ? '<span style="font-size: 11px; color: #555;">(proposition, à valider par le principal)</span>' : ''}
+                     </div>
+
+                     ${isPrincipal ? `
+                         <div class="no-print" style="margin-bottom: 30px; display: flex; gap: 10px; align-items: center;">
+                             <select id="year-decision-select" class="form-input" style="width: 260px; padding: 6px;">
+                                 ${Object.keys(YEAR_DECISIONS).map(key => `<option value="${key}" ${key === decision ? 'selected' : ''}>${YEAR_DECISIONS[key].label}</option>`).join('')}
+                             </select>
+                             <button class="btn btn-primary" onclick="app.handleYearDecision('${student.id}', '${proposed || ''}')">
+                                 <i class="ph ph-check"></i> ${confirmed ? 'Modifier la décision' : 'Valider la décision'}
+                             </button>
+                         </div>
+                     ` : ''}
+
+                     <div style="display: flex; justify-content: space-between; margin-top: 40px;">
+                         <div style="text-align: center; width: 200px;">
+                             <p style="margin-bottom: 50px; font-weight: bold; text-decoration: underline;">Signature des Parents</p>
+                         </div>
+                         <div style="text-align: center; width: 200px;">
+                             <p style="margin-bottom: 50px; font-weight: bold; text-decoration: underline;">Le Directeur</p>
+                         </div>
+                     </div>
+
+                     <div style="margin-top: 20px; border-top: 1px solid #ccc; padding-top: 10px; font-size: 10px; text-align: center; color: #777;">
+                         Bilan généré le ${new Date().toLocaleDateString()} via EduTrack - Système de Gestion Scolaire
+                     </div>
+                 </div>
              </div>
          `;
 
@@ -1930,6 +5631,7 @@ const UI = {
 const app = {
     // ... Existing properties ...
     currentAvatarBase64: null,
+    pendingGradeImport: null, // parsed grade file waiting for confirmation in the preview
 
     handleAvatarSelect(event) {
         const file = event.target.files[0];
@@ -2064,6 +5766,8 @@ const app = {
 
     init() {
         Storage.migrateData();
+        Storage.numberLegacyReceipts();
+        Storage.moveInlineDocuments();
         UI.checkAuth();
         // If auth is strictly required, we might not even need to navigate if not auth
         if (sessionStorage.getItem('edutrack_auth') === 'true') {
@@ -2116,6 +5820,7 @@ const app = {
                                 </td>
                                 <td>
                                     <button class="btn-icon" onclick="app.resetUserPassword('supervisor', '${s.id}')" title="Réinitialiser MDP"><i class="ph ph-arrow-counter-clockwise"></i></button>
+                                    <button class="btn-icon" onclick="app.showAddSupervisorModal('${s.id}')" title="Modifier"><i class="ph ph-pencil-simple"></i></button>
                                     <button class="btn-icon" onclick="app.deleteSupervisor('${s.id}')" style="color: #f87171;"><i class="ph ph-trash"></i></button>
                                 </td>
                             </tr>
@@ -2139,26 +5844,32 @@ const app = {
         }
     },
 
-    showAddSupervisorModal() {
+    // Also the edit form when `id` is given (credentials are kept)
+    showAddSupervisorModal(id = null) {
+        const supervisor = id ? Storage.getSupervisors().find(s => s.id === id) : null;
+        if (id && !supervisor) return;
+        const value = (text) => supervisor ? `value="${String(text || '').replace(/"/g, '&quot;')}"` : '';
+
         const html = `
             <div class="glass-panel" style="width: 400px; max-width: 90%; margin: 100px auto;">
-                <h3 style="margin-bottom: 24px;">Ajouter un Surveillant</h3>
+                <h3 style="margin-bottom: 24px;">${supervisor ? 'Modifier le Surveillant' : 'Ajouter un Surveillant'}</h3>
                 <form onsubmit="app.handleAddSupervisor(event)">
+                    <input type="hidden" name="id" value="${supervisor ? supervisor.id : ''}">
                     <div class="form-group">
                         <label class="form-label">Prénom</label>
-                        <input type="text" name="firstName" class="form-input" required>
+                        <input type="text" name="firstName" class="form-input" required ${value(supervisor && supervisor.firstName)}>
                     </div>
                     <div class="form-group">
                         <label class="form-label">Nom</label>
-                        <input type="text" name="lastName" class="form-input" required>
+                        <input type="text" name="lastName" class="form-input" required ${value(supervisor && supervisor.lastName)}>
                     </div>
                     <div class="form-group">
                         <label class="form-label">Téléphone</label>
-                        <input type="text" name="phone" class="form-input">
+                        <input type="text" name="phone" class="form-input" ${value(supervisor && supervisor.phone)}>
                     </div>
                     <div style="display: flex; gap: 12px; margin-top: 24px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
-                        <button type="submit" class="btn btn-primary">Créer</button>
+                        <button type="submit" class="btn btn-primary">${supervisor ? 'Enregistrer' : 'Créer'}</button>
                     </div>
                 </form>
             </div>
@@ -2174,6 +5885,13 @@ const app = {
         const lastName = formData.get('lastName');
         const phone = formData.get('phone');
 
+        if (formData.get('id')) {
+            Storage.updateSupervisor(formData.get('id'), { firstName, lastName, phone });
+            UI.closeModal();
+            app.navigate('supervisors');
+            return;
+        }
+
         // Generate with prefix 'srv.'
         const creds = app.generateCredentials(lastName, firstName, 'srv.');
 
@@ -2197,33 +5915,46 @@ const app = {
         }
     },
 
-    showAddStudentModal: () => UI.showAddStudentModal(),
+    showAddStudentModal: (id) => UI.showAddStudentModal(id),
     showAddAbsenceModal: () => UI.showAddAbsenceModal(),
+    showJustifyAbsenceModal: (id) => UI.showJustifyAbsenceModal(id),
+    showEditAbsenceModal: (id) => UI.showEditAbsenceModal(id),
+    showGradeHistory: (studentId, subjectId, term) => UI.showGradeHistoryModal(studentId, subjectId, term),
     showAddFeeModal: () => UI.showAddFeeModal(),
-    showAddSubjectModal: () => UI.showAddSubjectModal(),
-    showAddTeacherModal: () => UI.showAddTeacherModal(),
+    showFeeScheduleModal: () => UI.showFeeScheduleModal(),
+    showAddSubjectModal: (id) => UI.showAddSubjectModal(id),
+    showCoefficientsModal: () => UI.showCoefficientsModal(),
+    showWeeklyHoursModal: () => UI.showWeeklyHoursModal(),
+    showEvaluationPlanModal: (subjectId, term, level, classroom) => UI.showEvaluationPlanModal(subjectId, term, level, classroom),
+    showAddTeacherModal: (id) => UI.showAddTeacherModal(id),
     showStudentReportCard: (id) => UI.showStudentReportCard(id),
 
-    showAddPrincipalModal() {
+    // Also the edit form when `id` is given (credentials are kept)
+    showAddPrincipalModal(id = null) {
+        const principal = id ? Storage.getPrincipals().find(p => p.id === id) : null;
+        if (id && !principal) return;
+        const value = (text) => principal ? `value="${String(text || '').replace(/"/g, '&quot;')}"` : '';
+
         const html = `
             <div class="glass-panel" style="width: 400px; max-width: 90%; margin: 100px auto;">
-                <h3 style="margin-bottom: 24px;">Ajouter un Principal</h3>
+                <h3 style="margin-bottom: 24px;">${principal ? 'Modifier le Principal' : 'Ajouter un Principal'}</h3>
                 <form onsubmit="app.handleAddPrincipal(event)">
+                    <input type="hidden" name="id" value="${principal ? principal.id : ''}">
                     <div class="form-group">
                         <label class="form-label">Prénom</label>
-                        <input type="text" name="firstName" class="form-input" required>
+                        <input type="text" name="firstName" class="form-input" required ${value(principal && principal.firstName)}>
                     </div>
                     <div class="form-group">
                         <label class="form-label">Nom</label>
-                        <input type="text" name="lastName" class="form-input" required>
+                        <input type="text" name="lastName" class="form-input" required ${value(principal && principal.lastName)}>
                     </div>
                     <div class="form-group">
                         <label class="form-label">Nom du Collège</label>
-                        <input type="text" name="collegeName" class="form-input" placeholder="Ex: Collège A" required>
+                        <input type="text" name="collegeName" class="form-input" placeholder="Ex: Collège A" required ${value(principal && principal.collegeName)}>
                     </div>
                     <div style="display: flex; gap: 12px; margin-top: 24px; justify-content: flex-end;">
                         <button type="button" class="btn btn-outline" onclick="app.closeModal()">Annuler</button>
-                        <button type="submit" class="btn btn-primary">Créer</button>
+                        <button type="submit" class="btn btn-primary">${principal ? 'Enregistrer' : 'Créer'}</button>
                     </div>
                 </form>
             </div>
@@ -2239,6 +5970,13 @@ const app = {
         const lastName = formData.get('lastName');
         const collegeName = formData.get('collegeName');
 
+        if (formData.get('id')) {
+            Storage.updatePrincipal(formData.get('id'), { firstName, lastName, collegeName });
+            UI.closeModal();
+            app.navigate('principals');
+            return;
+        }
+
         const creds = app.generateCredentials(lastName, firstName, 'prin.');
 
         const principal = {
@@ -2261,6 +5999,258 @@ const app = {
         }
     },
 
+    showAbsenceAlerts() {
+        const role = sessionStorage.getItem('edutrack_role');
+        if (role !== 'principal' && role !== 'supervisor') return;
+        UI.showAbsenceAlertsModal();
+    },
+
+    showParentNotification: (studentId) => UI.showParentNotificationModal(studentId),
+
+    sendParentNotification(studentId, channel) {
+        const flagged = Storage.getAbsenceAlerts().find(a => a.student.id === studentId);
+        if (!flagged) return;
+
+        const textarea = document.getElementById('notification-sms-text');
+        const message = {
+            studentId,
+            term: flagged.term,
+            channel,
+            to: flagged.student.parentPhone || '',
+            text: channel === 'sms' && textarea ? textarea.value : UI.buildAbsenceNotification(flagged).sms
+        };
+
+        if (channel === 'letter') {
+            window.print();
+            Notifier.recordLetter(message);
+            UI.updateAlertBadge();
+            return;
+        }
+
+        Notifier.send(message)
+            .then(result => {
+                alert(result.ok ? 'SMS envoyé.' : "Échec de l'envoi du SMS.");
+                UI.updateAlertBadge();
+            })
+            .catch(error => {
+                console.error(error);
+                alert("Erreur lors de l'envoi de la notification.");
+            });
+    },
+
+    showSettingsModal() {
+        if (sessionStorage.getItem('edutrack_role') !== 'principal') {
+            alert("Les paramètres sont réservés au principal de l'établissement.");
+            return;
+        }
+        UI.showSettingsModal();
+    },
+
+    handleSaveSettings(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        Storage.saveSchoolSettings({
+            latesPerAbsenceHour: parseInt(formData.get('latesPerAbsenceHour')) || 0,
+            alertTermHours: parseFloat(formData.get('alertTermHours')) || 0,
+            alertYearHours: parseFloat(formData.get('alertYearHours')) || 0,
+            termWeights: Object.fromEntries(TERMS.map((term, i) => [term, parseFloat(formData.get(`termWeight_${i}`)) || 0])),
+            passAverage: parseFloat(formData.get('passAverage')) || 0,
+            repeatAverage: parseFloat(formData.get('repeatAverage')) || 0,
+            felicitationsAverage: parseFloat(formData.get('felicitationsAverage')) || 0,
+            honourAverage: parseFloat(formData.get('honourAverage')) || 0,
+            encouragementsAverage: parseFloat(formData.get('encouragementsAverage')) || 0,
+            workWarningAverage: parseFloat(formData.get('workWarningAverage')) || 0,
+            conductWarningHours: parseFloat(formData.get('conductWarningHours')) || 0,
+            teacherWeeklyQuota: parseFloat(formData.get('teacherWeeklyQuota')) || 0
+        });
+        this.closeModal();
+        UI.updateAlertBadge();
+        alert("Paramètres enregistrés.");
+    },
+
+    handleSaveClassCouncil(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const entries = [];
+        for (let [key, value] of formData.entries()) {
+            if (key.startsWith('mention_')) {
+                const studentId = key.substring(8);
+                entries.push({
+                    studentId,
+                    mention: value,
+                    appreciation: (formData.get(`council_${studentId}`) || '').trim()
+                });
+            }
+        }
+
+        Storage.saveCouncilDecisions(formData.get('term'), entries);
+        this.closeModal();
+        alert('Décisions du conseil enregistrées.');
+    },
+
+    handleYearDecision(studentId, proposed) {
+        const select = document.getElementById('year-decision-select');
+        if (!select) return;
+        Storage.saveYearDecision(studentId, select.value, proposed || null);
+        UI.switchReportTerm(studentId, 'annual');
+    },
+
+    showOutstandingFees(classValue = '') {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        // Reached from the dashboard too: keep the Fees menu highlighted
+        document.querySelectorAll('.nav-item').forEach(el => el.classList.remove('active'));
+        const navBtn = document.querySelector(`button[onclick="app.navigate('fees')"]`);
+        if (navBtn) navBtn.classList.add('active');
+        document.getElementById('page-title').innerText = 'Frais Impayés';
+
+        UI.renderOutstandingFees(contentArea, classValue);
+    },
+
+    printFeeReminders(mode) {
+        const filter = document.getElementById('unpaid-class-filter');
+        const classValue = filter ? filter.value : '';
+        const entries = Storage.getOutstandingFees()
+            .filter(entry => !classValue || `${entry.student.level}|${entry.student.classroom || ''}` === classValue)
+            .sort((a, b) =>
+                a.student.level.localeCompare(b.student.level) ||
+                String(a.student.classroom || '').localeCompare(String(b.student.classroom || '')) ||
+                a.student.lastName.localeCompare(b.student.lastName)
+            );
+        UI.renderFeeRemindersModal(entries, mode);
+    },
+
+    showAbsenceAnalytics(term = '') {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        document.getElementById('page-title').innerText = 'Statistiques des Absences';
+        UI.renderAbsenceAnalytics(contentArea, term);
+    },
+
+    showTimetable(mode, key) {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        UI.renderTimetable(contentArea, mode, key);
+    },
+
+    // `modeChanged`: the key list no longer matches the selected mode
+    refreshTimetable(modeChanged = false) {
+        this.showTimetable(
+            document.getElementById('timetable-mode').value,
+            modeChanged ? '' : document.getElementById('timetable-key').value
+        );
+    },
+
+    showTimetableSlot: (level, classroom, day, periodId) => UI.showTimetableSlotModal(level, classroom, day, periodId),
+    printTimetable: (mode, key) => UI.renderTimetablePrintModal(mode, key),
+
+    handleSaveTimetableSlot(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const entry = {
+            level: formData.get('level'),
+            classroom: formData.get('classroom'),
+            day: formData.get('day'),
+            periodId: formData.get('periodId'),
+            subjectId: formData.get('subjectId'),
+            teacherId: formData.get('teacherId'),
+            room: formData.get('room').trim()
+        };
+
+        const conflicts = Storage.getTimetableConflicts(entry);
+        if (conflicts.length > 0 && !confirm(`Conflits détectés :\n- ${conflicts.join('\n- ')}\n\nEnregistrer quand même ?`)) return;
+
+        Storage.saveTimetableEntry(entry);
+        this.closeModal();
+        this.showTimetable('class', `${entry.level}|${entry.classroom || ''}`);
+    },
+
+    clearTimetableSlot(id) {
+        const entry = Storage.getTimetable().find(e => e.id === id);
+        if (!entry || !confirm('Libérer ce créneau ?')) return;
+        Storage.deleteTimetableEntry(id);
+        this.closeModal();
+        this.showTimetable('class', `${entry.level}|${entry.classroom || ''}`);
+    },
+
+    showRollCall() {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        document.getElementById('page-title').innerText = 'Appel de la Classe';
+        UI.renderRollCall(contentArea);
+    },
+
+    refreshRollCall() {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        UI.renderRollCall(
+            contentArea,
+            document.getElementById('rollcall-class').value,
+            document.getElementById('rollcall-date').value,
+            document.getElementById('rollcall-slot').value
+        );
+    },
+
+    handleSaveRollCall(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const date = formData.get('date');
+        const slot = formData.get('slot');
+        const slotDef = UI.getRollCallSlots(formData.get('classValue'), date).find(x => x.id === slot) || ROLL_CALL_SLOTS[0];
+        const user = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}');
+
+        // Arrival time = slot start + minutes late
+        const arrivalTime = (minutes) => {
+            const [h, m] = slotDef.start.split(':').map(Number);
+            const total = h * 60 + m + minutes;
+            return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+        };
+
+        let absentCount = 0;
+        let lateCount = 0;
+        for (let [key, value] of formData.entries()) {
+            // Disabled inputs (records already saved) are not part of the form data
+            if (!key.startsWith('presence_') || value === 'present') continue;
+            const studentId = key.substring(9);
+
+            const absence = {
+                studentId,
+                date,
+                slot,
+                type: value === 'late' ? 'late' : 'absence',
+                hours: value === 'late' ? 0 : formData.get(`hours_${studentId}`),
+                reason: slotDef.subjectId ? `Appel ${slotDef.label}` : "Appel",
+                takenBy: user.id || null
+            };
+            if (slotDef.subjectId) absence.subjectId = slotDef.subjectId;
+            if (value === 'late') {
+                absence.minutes = parseInt(formData.get(`minutes_${studentId}`)) || 0;
+                absence.arrivalTime = arrivalTime(absence.minutes);
+            }
+            Storage.addAbsence(absence);
+            if (value === 'late') lateCount++;
+            else absentCount++;
+        }
+
+        alert(`Appel enregistré : ${absentCount} absent(s), ${lateCount} retard(s).`);
+        this.navigate('absences');
+    },
+
+    filterFees(classChanged = false) {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+
+        const filters = {
+            classValue: document.getElementById('fee-class-filter').value,
+            // A student from another class would leave the ledger empty
+            studentId: classChanged ? '' : document.getElementById('fee-student-filter').value,
+            month: document.getElementById('fee-month-filter').value,
+            dateFrom: document.getElementById('fee-date-from').value,
+            dateTo: document.getElementById('fee-date-to').value
+        };
+        UI.renderFees(contentArea, filters);
+    },
+
     // Dynamic Division Filter for Teachers
     updateGradeDivisions() {
         const role = sessionStorage.getItem('edutrack_role');
@@ -2268,17 +6258,11 @@ const app = {
 
         const levelSelect = document.getElementById('grade-level-select');
         const divisionSelect = document.getElementById('grade-class-select');
-        if (!levelSelect || !divisionSelect) return;
-
-        const selectedLevel = levelSelect.value;
-        const userStr = sessionStorage.getItem('edutrack_user');
-        if (!userStr) return;
-
-        const teacher = JSON.parse(userStr);
-        if (!teacher.assignedClasses) return;
+        if (!levelSelect || !divisionSelect) return;
 
+        const selectedLevel = levelSelect.value;
         // Get allowed divisions for this level
-        const allowedDivisions = teacher.assignedClasses
+        const allowedDivisions = Storage.getTeacherClasses(Storage.getCurrentTeacher())
             .filter(c => c.level === selectedLevel)
             .map(c => c.division);
 
@@ -2331,9 +6315,33 @@ const app = {
             container.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 40px;">Veuillez sélectionner une classe.</div>';
             return;
         }
+
+        if (role === 'teacher' && !Storage.teacherTeaches(Storage.getCurrentTeacher(), subjectId, level, classroom)) {
+            container.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 40px;">Vous n\'enseignez pas cette matière dans cette classe.</div>';
+            return;
+        }
         UI.renderGradesTable('grades-list-container', subjectId, term, level, classroom);
     },
 
+    showGradeAnalytics() {
+        const classValue = document.getElementById('grade-class-select').value;
+        const subjectId = document.getElementById('grade-subject-select').value;
+        const term = document.getElementById('grade-term-select').value;
+        const level = classValue ? classValue.split('|')[0] : (Storage.getStudents()[0] || {}).level || LEVELS[0];
+
+        document.getElementById('page-title').innerText = 'Statistiques des Notes';
+        UI.renderGradeAnalytics(document.getElementById('content-area'), level, term, subjectId);
+    },
+
+    refreshGradeAnalytics() {
+        UI.renderGradeAnalytics(
+            document.getElementById('content-area'),
+            document.getElementById('analytics-level').value,
+            document.getElementById('analytics-term').value,
+            document.getElementById('analytics-subject').value
+        );
+    },
+
     normalizeLevel(input) {
         let str = input.toLowerCase().replace(/[^a-z0-9à-ÿ]/g, ""); // Remove spaces/symbols
         if (str.startsWith("6")) return "6ème";
@@ -2361,12 +6369,283 @@ const app = {
     },
 
     closeModal: () => UI.closeModal(),
+    switchReportTerm: (studentId, term) => UI.switchReportTerm(studentId, term),
+    printClassReportCards: (term, level, classroom) => UI.renderClassReportCards(level, classroom, term),
+    showClassCouncil: (term, level, classroom) => UI.showClassCouncilModal(level, classroom, term),
+    printClassMentions: (term, level, classroom) => UI.renderClassMentionsModal(level, classroom, term),
 
     // Import Helpers
     triggerImportStudents() {
         document.getElementById('import-file').click();
     },
 
+    // Robust value getter for imported spreadsheet rows (tolerant header detection)
+    getRowValue(row, searchKeys, fuzzy = false) {
+        if (!Array.isArray(searchKeys)) searchKeys = [searchKeys];
+        const filled = (k) => k && row[k] !== undefined && row[k] !== null && row[k].toString().trim() !== '';
+
+        // 1. Exact Match first
+        for (const key of searchKeys) {
+            const exactKey = Object.keys(row).find(k => k.toLowerCase().trim() === key.toLowerCase());
+            if (filled(exactKey)) return row[exactKey].toString().trim();
+        }
+
+        // 2. Fuzzy Match (header contains keyword)
+        if (fuzzy) {
+            for (const key of searchKeys) {
+                // Skip short keys for fuzzy to avoid false positives (e.g. "id" in "ids")
+                if (key.length < 3) continue;
+                const fuzzyKey = Object.keys(row).find(k => k.toLowerCase().includes(key.toLowerCase()));
+                if (filled(fuzzyKey)) return row[fuzzyKey].toString().trim();
+            }
+        }
+        return '';
+    },
+
+    // Students of a class sorted by name, as listed in the grade template
+    getClassStudents(level, classroom) {
+        return Storage.getStudents()
+            .filter(s => s.level === level && String(s.classroom || '') === String(classroom || ''))
+            .sort((a, b) => a.lastName.localeCompare(b.lastName));
+    },
+
+    // Writes rows (array of arrays) to .xlsx, or to a ;-separated UTF-8 CSV that Excel opens with its accents
+    downloadSheet(rows, fileName, format = 'xlsx', sheetName = 'Export') {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        fileName = fileName.replace(/\s+/g, '_');
+
+        if (format === 'csv') {
+            const blob = new Blob(['\ufeff' + XLSX.utils.sheet_to_csv(sheet, { FS: ';' })], { type: 'text/csv;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${fileName}.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            return;
+        }
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+        XLSX.writeFile(workbook, `${fileName}.xlsx`);
+    },
+
+    // Student x subject matrix with weighted general average and rank, as on the recap screen
+    exportClassRecap(term, level, classroom, format) {
+        const stats = UI.getClassReportStats(level, classroom, term);
+        const { subjects, gradesBySubject, subjectStats, studentAverages } = stats;
+        const round = (val) => (val === undefined || isNaN(val)) ? '' : Math.round(val * 100) / 100;
+
+        const rows = [['Matricule', 'Nom', 'Prénom', ...subjects.map(subj => `${subj.name} (coef. ${Storage.getSubjectCoefficient(subj, level)})`), 'Moy. Gén.', 'Rang']];
+        [...stats.classStudents].sort((a, b) => a.lastName.localeCompare(b.lastName)).forEach(s => {
+            const entry = studentAverages.find(x => x.studentId === s.id);
+            rows.push([
+                s.studentId,
+                s.lastName,
+                s.firstName,
+                ...subjects.map(subj => {
+                    const g = gradesBySubject[subj.id].find(x => x.studentId === s.id);
+                    return g ? round(parseFloat(g.average)) : '';
+                }),
+                entry ? round(entry.val) : '',
+                entry ? studentAverages.findIndex(x => Math.abs(x.val - entry.val) < 0.001) + 1 : ''
+            ]);
+        });
+        rows.push(['', 'Moyenne Classe', '', ...subjects.map(subj => round(subjectStats[subj.id].avg)), stats.classGeneralAvg !== '-' ? parseFloat(stats.classGeneralAvg) : '', '']);
+
+        this.downloadSheet(rows, `Recap_${level}${classroom || ''}_${term}`, format, 'Récapitulatif');
+    },
+
+    // Detail of one subject: every evaluation, average, appreciation and competences
+    exportGradeSheet(subjectId, term, level, classroom, format) {
+        const subject = Storage.getSubjects().find(s => s.id === subjectId);
+        const evaluations = Storage.getEvaluationPlan(subjectId, term, level, classroom);
+        const grades = Storage.getGrades(subjectId, term);
+
+        const rows = [['Matricule', 'Nom', 'Prénom', ...evaluations.map(ev => `${ev.name} (/${ev.scale})`), 'Moyenne', 'Appréciation', 'Compétences']];
+        this.getClassStudents(level, classroom).forEach(s => {
+            const g = grades.find(x => x.studentId === s.id) || {};
+            rows.push([
+                s.studentId,
+                s.lastName,
+                s.firstName,
+                ...evaluations.map((ev, i) => (g.values || [])[i] !== undefined && g.values[i] !== '' ? parseFloat(g.values[i]) : ''),
+                g.average ? parseFloat(g.average) : '',
+                g.appreciation || '',
+                g.competence || ''
+            ]);
+        });
+
+        this.downloadSheet(rows, `Notes_${subject ? subject.name : subjectId}_${level}${classroom || ''}_${term}`, format, 'Notes');
+    },
+
+    // Student list of the selected class (every visible student when no class is selected)
+    exportStudents(filterClass, format) {
+        let students = UI.getScopedStudents();
+        if (filterClass) {
+            const [level, classroom] = filterClass.split('|');
+            students = students.filter(s => s.level === level && String(s.classroom || '') === String(classroom || ''));
+        }
+        students = [...students].sort((a, b) =>
+            (a.level || '').localeCompare(b.level || '') || String(a.classroom || '').localeCompare(String(b.classroom || '')) || a.lastName.localeCompare(b.lastName)
+        );
+
+        const absences = Storage.getAbsences();
+        const settings = Storage.getSchoolSettings();
+        const rows = [['Matricule', 'Nom', 'Prénom', 'Niveau', 'Division', 'Téléphone Parent', 'Adresse', 'Absences justifiées (h)', 'Absences non justifiées (h)', 'Retards']];
+        students.forEach(s => {
+            const summary = Storage.getStudentAbsenceSummary(s.id, null, { absences, settings });
+            rows.push([s.studentId, s.lastName, s.firstName, s.level, s.classroom || '', s.parentPhone || '', s.address || '', summary.justified, summary.unjustified + summary.pending, summary.lateCount]);
+        });
+
+        this.downloadSheet(rows, filterClass ? `Eleves_${filterClass.replace('|', '')}` : 'Eleves', format, 'Élèves');
+    },
+
+    downloadGradeTemplate(subjectId, term, level, classroom) {
+        const subject = Storage.getSubjects().find(s => s.id === subjectId);
+        const evaluations = Storage.getEvaluationPlan(subjectId, term, level, classroom);
+        const grades = Storage.getGrades(subjectId, term);
+
+        const rows = [['Matricule', 'Nom', 'Prénom', ...evaluations.map(ev => ev.name), 'Appréciation']];
+        this.getClassStudents(level, classroom).forEach(s => {
+            const g = grades.find(x => x.studentId === s.id) || {};
+            rows.push([s.studentId, s.lastName, s.firstName, ...evaluations.map((ev, i) => (g.values || [])[i] || ''), g.appreciation || '']);
+        });
+
+        this.downloadSheet(rows, `Modele_Notes_${subject ? subject.name : subjectId}_${level}${classroom || ''}_${term}`, 'xlsx', 'Notes');
+    },
+
+    handleImportGrades(e, subjectId, term, level, classroom) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (evt) => {
+            try {
+                const workbook = XLSX.read(new Uint8Array(evt.target.result), { type: 'array' });
+                const json = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+                if (json.length === 0) {
+                    alert("Le fichier Excel semble vide.");
+                    return;
+                }
+
+                this.pendingGradeImport = this.parseGradeImport(json, subjectId, term, level, classroom);
+                UI.showGradeImportPreview(this.pendingGradeImport);
+            } catch (error) {
+                console.error(error);
+                alert("Erreur critique lors de la lecture du fichier.");
+            }
+            e.target.value = '';
+        };
+        reader.readAsArrayBuffer(file);
+    },
+
+    // Matches each row to a student (matricule, else name) and compares it with the saved marks.
+    // Empty cells keep the saved mark; marks outside the evaluation scale are rejected.
+    parseGradeImport(rows, subjectId, term, level, classroom) {
+        const evaluations = Storage.getEvaluationPlan(subjectId, term, level, classroom);
+        const grades = Storage.getGrades(subjectId, term);
+        const students = this.getClassStudents(level, classroom);
+        const normalize = (str) => str.toString().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+        const tokens = (str) => normalize(str).split(' ').filter(Boolean);
+        const nameTokens = students.map(s => tokens(`${s.lastName} ${s.firstName}`));
+
+        // { student } for a single match, { candidates } when several students fit, null otherwise
+        const findStudent = (row) => {
+            const matricule = this.getRowValue(row, ['Matricule', 'ID', 'Code', 'N°', 'Numero', 'Numéro', 'Identifiant']);
+            const byId = matricule ? students.filter(s => String(s.studentId).toLowerCase() === matricule.toLowerCase()) : [];
+            if (byId.length === 1) return { student: byId[0] };
+
+            let name = `${this.getRowValue(row, ['Nom', 'Nom de famille', 'Surname'])} ${this.getRowValue(row, ['Prenom', 'Prénom', 'Firstname'])}`;
+            if (!name.trim()) name = this.getRowValue(row, ['Nom et Prénom', 'Nom Complet', 'Nom Prénom', 'Etudiant', 'Élève', 'Eleve'], true);
+            const wanted = tokens(name);
+            if (wanted.length === 0) return null;
+
+            // Same words in any order ("Ali Ahmed" = "Ahmed Ali"), else every word of one name found
+            // as a whole word in the other ("Ben Ali Mohamed" for "Ben Ali"): "ali" never matches "khalil"
+            const sameWords = (words) => words.length === wanted.length && [...words].sort().join(' ') === [...wanted].sort().join(' ');
+            const within = (inner, outer) => inner.every(word => outer.includes(word));
+            let matches = students.filter((s, i) => sameWords(nameTokens[i]));
+            if (matches.length === 0) matches = students.filter((s, i) => within(wanted, nameTokens[i]) || within(nameTokens[i], wanted));
+
+            if (matches.length === 1) return { student: matches[0] };
+            return matches.length > 1 ? { candidates: matches } : null;
+        };
+
+        const result = { subjectId, term, level, classroom, evaluations, entries: [], unmatched: [], ambiguous: [], duplicates: [] };
+
+        // Resolve every row first: a student claimed by several lines is left out with all of them
+        const matched = [];
+        rows.forEach((row, index) => {
+            const line = index + 2; // spreadsheet line (header is line 1)
+            const match = findStudent(row);
+            if (!match) result.unmatched.push(line);
+            else if (match.candidates) result.ambiguous.push({ line, candidates: match.candidates });
+            else matched.push({ row, line, student: match.student });
+        });
+        matched.forEach(({ student }) => {
+            const lines = matched.filter(m => m.student.id === student.id).map(m => m.line);
+            if (lines.length > 1 && !result.duplicates.some(d => d.student.id === student.id)) result.duplicates.push({ student, lines });
+        });
+
+        matched.forEach(({ row, student }) => {
+            if (result.duplicates.some(d => d.student.id === student.id)) return;
+
+            const previous = grades.find(g => g.studentId === student.id) || {};
+            const oldValues = evaluations.map((ev, i) => (previous.values || [])[i] || '');
+            const errors = [];
+            const values = evaluations.map((ev, i) => {
+                const raw = this.getRowValue(row, [ev.name]).replace(',', '.');
+                if (raw === '') return oldValues[i];
+                const val = parseFloat(raw);
+                if (isNaN(val) || val < 0 || val > (parseFloat(ev.scale) || 20)) {
+                    errors.push(`${ev.name} : "${raw}"`);
+                    return oldValues[i];
+                }
+                return String(val);
+            });
+            const appreciation = this.getRowValue(row, ['Appréciation', 'Appreciation', 'Commentaire'], true) || previous.appreciation || '';
+
+            result.entries.push({
+                student,
+                oldValues,
+                values,
+                errors,
+                appreciation,
+                competence: previous.competence || '',
+                oldAverage: previous.average || '',
+                average: Storage.computeEvaluationAverage(values, evaluations),
+                changed: values.some((v, i) => v !== oldValues[i]) || appreciation !== (previous.appreciation || '')
+            });
+        });
+        return result;
+    },
+
+    confirmGradeImport() {
+        const pending = this.pendingGradeImport;
+        if (!pending) return;
+        if (!Storage.canEditGrades(Storage.getGradeStatus(pending.subjectId, pending.term, pending.level, pending.classroom), pending.subjectId, pending.level, pending.classroom)) {
+            alert('Ces notes ont été soumises ou validées et ne sont plus modifiables.');
+            return;
+        }
+
+        const grades = pending.entries.filter(entry => entry.changed).map(entry => ({
+            studentId: entry.student.id,
+            subjectId: pending.subjectId,
+            term: pending.term,
+            values: entry.values,
+            average: entry.average,
+            appreciation: entry.appreciation,
+            competence: entry.competence
+        }));
+
+        Storage.saveGrades(grades);
+        this.pendingGradeImport = null;
+        this.closeModal();
+        alert(`✅ ${grades.length} élève(s) mis à jour.`);
+        this.refreshGradesView();
+    },
+
     handleImportStudents(e) {
         const file = e.target.files[0];
         if (!file) return;
@@ -2390,27 +6669,7 @@ const app = {
 
                 let addedCount = 0;
                 json.forEach((row, index) => {
-                    // Robust Value Getter
-                    const getVal = (searchKeys, fuzzy = false) => {
-                        if (!Array.isArray(searchKeys)) searchKeys = [searchKeys];
-
-                        // 1. Exact Match first
-                        for (const key of searchKeys) {
-                            const exactKey = Object.keys(row).find(k => k.toLowerCase().trim() === key.toLowerCase());
-                            if (exactKey && row[exactKey]) return row[exactKey].toString().trim();
-                        }
-
-                        // 2. Fuzzy Match (header contains keyword)
-                        if (fuzzy) {
-                            for (const key of searchKeys) {
-                                // Skip short keys for fuzzy to avoid false positives (e.g. "id" in "ids")
-                                if (key.length < 3) continue;
-                                const fuzzyKey = Object.keys(row).find(k => k.toLowerCase().includes(key.toLowerCase()));
-                                if (fuzzyKey && row[fuzzyKey]) return row[fuzzyKey].toString().trim();
-                            }
-                        }
-                        return '';
-                    };
+                    const getVal = (searchKeys, fuzzy = false) => this.getRowValue(row, searchKeys, fuzzy);
 
                     let lastName = getVal(['Nom', 'Nom de famille', 'Surname']);
                     let firstName = getVal(['Prenom', 'Prénom', 'Firstname']);
@@ -2515,21 +6774,31 @@ const app = {
         reader.readAsArrayBuffer(file);
     },
 
+    // Edit forms have separate Nom / Prénom fields; the create form splits "Nom et Prénom" on the first space
+    readNameFields(formData) {
+        if (formData.has('lastName')) {
+            return { lastName: formData.get('lastName').trim(), firstName: formData.get('firstName').trim() };
+        }
+        const nameParts = (formData.get('fullName') || '').trim().split(' ');
+        return { lastName: nameParts[0], firstName: nameParts.slice(1).join(' ') || nameParts[0] }; // Fallback if single name
+    },
+
     handleAddStudent(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
         const data = Object.fromEntries(formData.entries());
+        const id = data.id;
+        delete data.id;
 
-        // Split Full Name
-        const nameParts = data.fullName.trim().split(' ');
-        data.lastName = nameParts[0];
-        data.firstName = nameParts.slice(1).join(' ') || data.lastName; // Fallback if single name
+        Object.assign(data, this.readNameFields(formData));
 
-        // Auto-Generate ID
+        // Auto-Generate ID (kept when editing)
         // Format: ET-{Year}-{Random4}
-        const year = new Date().getFullYear();
-        const random = Math.floor(1000 + Math.random() * 9000);
-        data.studentId = `ET-${year}-${random}`;
+        if (!id) {
+            const year = new Date().getFullYear();
+            const random = Math.floor(1000 + Math.random() * 9000);
+            data.studentId = `ET-${year}-${random}`;
+        }
 
         delete data.fullName; // Clean up
 
@@ -2560,7 +6829,8 @@ const app = {
         data.classroom = classroom;
         delete data.fullClass;
 
-        Storage.addStudent(data);
+        if (id) Storage.updateStudent(id, data);
+        else Storage.addStudent(data);
         this.closeModal();
         this.navigate('students');
     },
@@ -2569,33 +6839,289 @@ const app = {
         e.preventDefault();
         const formData = new FormData(e.target);
         const absence = Object.fromEntries(formData.entries());
+        delete absence.document;
+        absence.takenBy = JSON.parse(sessionStorage.getItem('edutrack_user') || '{}').id || null;
+
+        if (absence.type === 'late') {
+            absence.hours = 0;
+        } else {
+            delete absence.minutes;
+            delete absence.arrivalTime;
+        }
+
+        this.readJustificationFile(formData.get('document'), (doc) => {
+            if (doc) absence.document = doc;
+            Storage.addAbsence(absence);
+            this.closeModal();
+            this.navigate('absences');
+        });
+    },
+
+    handleEditAbsence(e, absenceId) {
+        e.preventDefault();
+        const absence = Storage.getAbsences().find(a => a.id === absenceId);
+        if (!absence || !UI.canEditAbsence(absence)) return;
+        const updates = Object.fromEntries(new FormData(e.target).entries());
+
+        if (updates.type === 'late') {
+            updates.hours = 0;
+        } else {
+            updates.minutes = '';
+            updates.arrivalTime = '';
+        }
 
-        Storage.addAbsence(absence);
+        Storage.updateAbsence(absenceId, updates);
         this.closeModal();
         this.navigate('absences');
     },
 
+    deleteAbsence(id) {
+        const absence = Storage.getAbsences().find(a => a.id === id);
+        if (!absence || !UI.canEditAbsence(absence)) return;
+        if (confirm('Supprimer cette absence ? La suppression sera tracée dans le journal.')) {
+            Storage.deleteAbsence(id);
+            this.navigate('absences');
+        }
+    },
+
+    toggleAbsenceType(select) {
+        const isLate = select.value === 'late';
+        const form = select.form;
+        document.getElementById('absence-hours-group').style.display = isLate ? 'none' : '';
+        document.getElementById('absence-late-group').style.display = isLate ? 'grid' : 'none';
+        form.elements.hours.required = !isLate;
+        form.elements.minutes.required = isLate;
+    },
+
+    handleJustifyAbsence(e, absenceId) {
+        e.preventDefault();
+        if (!UI.canJustifyAbsence()) return;
+        const formData = new FormData(e.target);
+        const updates = {
+            status: formData.get('status'),
+            justificationNote: formData.get('justificationNote'),
+            justifiedBy: JSON.parse(sessionStorage.getItem('edutrack_user') || '{}').id || null
+        };
+
+        this.readJustificationFile(formData.get('document'), (doc) => {
+            if (doc) updates.document = doc;
+            Storage.justifyAbsence(absenceId, updates);
+            this.closeModal();
+            this.navigate('absences');
+        });
+    },
+
+    downloadJustification(absenceId) {
+        const absence = Storage.getAbsences().find(a => a.id === absenceId);
+        const url = absence && absence.document ? Storage.getDocumentUrl(absence) : null;
+        if (!url) {
+            alert('Justificatif introuvable.');
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = absence.document.name;
+        link.click();
+    },
+
+    // Reads an optional justification upload as base64; calls back with null when there is none
+    readJustificationFile(file, callback) {
+        if (!file || !file.size) {
+            callback(null);
+            return;
+        }
+
+        // Validation (Max 500 KB): every file takes room in the browser storage shared by the whole school
+        if (file.size > 500 * 1024) {
+            alert("Le justificatif est trop volumineux. Max 500 Ko (photo en résolution réduite ou PDF compressé).");
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (evt) => callback({ name: file.name, type: file.type, dataUrl: evt.target.result });
+        reader.readAsDataURL(file);
+    },
+
     handleAddFee(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
         const fee = Object.fromEntries(formData.entries());
 
-        // Strict Validation Rule
-        if (parseInt(fee.amount) !== 15000) {
-            alert("Erreur : Le montant des frais de scolarité doit être exactement de 15000 FD.");
+        const student = Storage.getStudents().find(s => s.id === fee.studentId);
+        if (!student) return;
+
+        // Validate against the student's schedule: partial payments are fine, overpaying is not
+        const line = this.getFeeLine(student, fee.feeType, fee.month);
+        if (!line) {
+            alert("Erreur : Ce type de frais n'existe plus dans le barème.");
+            return;
+        }
+        const amount = parseFloat(fee.amount);
+        if (line.remaining <= 0) {
+            alert(`${line.label || line.month} est déjà entièrement réglé pour cet élève.`);
+            return;
+        }
+        if (!(amount > 0) || amount > line.remaining) {
+            alert(`Erreur : Le montant doit être compris entre 1 et ${line.remaining} FD (reste dû).`);
+            return;
+        }
+
+        if (fee.feeType === 'monthly') {
+            fee.label = '';
+        } else {
+            fee.label = line.label;
+            delete fee.month;
+        }
+        fee.due = line.due;
+
+        const saved = Storage.addFee(fee);
+        this.navigate('fees');
+        UI.renderReceiptModal(saved);
+    },
+
+    showFeeReceipt(feeId) {
+        const fee = Storage.getFees().find(f => f.id === feeId);
+        if (fee) UI.renderReceiptModal(fee);
+    },
+
+    // Schedule line (month or extra fee) a payment applies to, with due/paid/remaining
+    getFeeLine(student, feeType, month) {
+        const status = Storage.getStudentFeeStatus(student);
+        if (!feeType || feeType === 'monthly') return status.months.find(m => m.month === month);
+        return status.extras.find(x => x.id === feeType);
+    },
+
+    updateFeeDueHint() {
+        const form = document.getElementById('add-fee-form');
+        const hint = document.getElementById('fee-due-hint');
+        if (!form || !hint) return;
+
+        const feeType = form.elements.feeType.value;
+        document.getElementById('fee-month-group').style.display = feeType === 'monthly' ? '' : 'none';
+
+        const student = Storage.getStudents().find(s => s.id === form.elements.studentId.value);
+        if (!student) {
+            hint.innerText = 'Sélectionnez un élève pour voir le montant dû.';
             return;
         }
 
-        Storage.addFee(fee);
+        const line = this.getFeeLine(student, feeType, form.elements.month.value);
+        if (!line) return;
+        hint.innerText = `Dû : ${line.due} FD - Déjà versé : ${line.paid} FD - Reste : ${line.remaining} FD`;
+        form.elements.amount.value = line.remaining > 0 ? line.remaining : '';
+    },
+
+    handleSaveFeeSchedule(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        const levels = {};
+        for (let [key, value] of formData.entries()) {
+            if (key.startsWith('level_')) levels[key.substring(6)] = parseFloat(value) || 0;
+        }
+
+        // Keep existing ids so past payments stay linked to their fee
+        const ids = formData.getAll('extra_id[]');
+        const amounts = formData.getAll('extra_amount[]');
+        const extraFees = formData.getAll('extra_label[]').map((label, i) => ({
+            id: ids[i] || `xf_${Date.now()}_${i}`,
+            label: label.trim(),
+            amount: parseFloat(amounts[i]) || 0
+        })).filter(x => x.label);
+
+        const percents = formData.getAll('scholar_percent[]');
+        const scholarships = formData.getAll('scholar_student[]').map((studentId, i) => ({
+            studentId,
+            percent: Math.min(100, parseFloat(percents[i]) || 0)
+        })).filter(x => x.studentId && x.percent > 0);
+
+        Storage.saveFeeSchedule({
+            levels,
+            extraFees,
+            siblingDiscount: Math.min(100, parseFloat(formData.get('siblingDiscount')) || 0),
+            scholarships
+        });
         this.closeModal();
         this.navigate('fees');
     },
 
+    addExtraFeeRow() {
+        const container = document.getElementById('extra-fees-container');
+        if (container) container.insertAdjacentHTML('beforeend', UI.extraFeeRowHtml());
+    },
+
+    addScholarshipRow() {
+        const container = document.getElementById('scholarships-container');
+        if (!container) return;
+        const students = Storage.getStudents().sort((a, b) => a.lastName.localeCompare(b.lastName));
+        container.insertAdjacentHTML('beforeend', UI.scholarshipRowHtml(students));
+    },
+
     handleAddSubject(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
         const subject = Object.fromEntries(formData.entries());
-        Storage.addSubject(subject);
+        const id = subject.id;
+        delete subject.id;
+        subject.coefficient = parseFloat(subject.coefficient) || 0;
+        if (id) Storage.updateSubject(id, subject);
+        else Storage.addSubject(subject);
+        this.closeModal();
+        this.navigate('subjects');
+    },
+
+    handleSaveWeeklyHours(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const updates = {};
+
+        Storage.getSubjects().forEach(subj => {
+            const weeklyHours = {};
+            LEVELS.forEach(level => {
+                const value = formData.get(`hours_${subj.id}_${level}`);
+                if (value !== null && value !== '') weeklyHours[level] = parseFloat(value) || 0;
+            });
+            updates[subj.id] = weeklyHours;
+        });
+
+        Storage.saveSubjectWeeklyHours(updates);
+        this.closeModal();
+        this.navigate('subjects');
+    },
+
+    showTeacherWorkload() {
+        const contentArea = document.getElementById('content-area');
+        if (!contentArea) return;
+        document.getElementById('page-title').innerText = 'Charge Horaire des Professeurs';
+        UI.renderTeacherWorkload(contentArea);
+    },
+
+    handleSaveTeacherQuotas(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const quotas = {};
+        for (let [key, value] of formData.entries()) {
+            if (key.startsWith('quota_')) quotas[key.substring(6)] = value.trim();
+        }
+        Storage.saveTeacherQuotas(quotas);
+        this.showTeacherWorkload();
+    },
+
+    handleSaveCoefficients(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const updates = {};
+
+        Storage.getSubjects().forEach(subj => {
+            const coefficients = {};
+            LEVELS.forEach(level => {
+                const value = formData.get(`coef_${subj.id}_${level}`);
+                if (value !== null && value !== '') coefficients[level] = parseFloat(value);
+            });
+            updates[subj.id] = { coefficient: parseFloat(formData.get(`coef_${subj.id}`)) || 0, coefficients };
+        });
+
+        Storage.saveSubjectCoefficients(updates);
         this.closeModal();
         this.navigate('subjects');
     },
@@ -2604,11 +7130,7 @@ const app = {
         e.preventDefault();
         const formData = new FormData(e.target);
 
-        // Split Name
-        const fullName = formData.get('fullName') || '';
-        const nameParts = fullName.trim().split(' ');
-        const lastName = nameParts[0];
-        const firstName = nameParts.slice(1).join(' ') || lastName;
+        const { lastName, firstName } = this.readNameFields(formData);
 
         // Extract basic fields
         const teacher = {
@@ -2616,18 +7138,22 @@ const app = {
             lastName: lastName,
             sex: formData.get('sex'),
             phone: formData.get('phone'),
-            subjectId: formData.get('subjectId'),
         };
+        if (formData.get('weeklyQuota')) teacher.weeklyQuota = parseFloat(formData.get('weeklyQuota')) || 0;
 
-        // Extract classes manually
-        const classFull = formData.getAll('class_full[]');
-        teacher.assignedClasses = classFull.map(val => {
-            const parts = val.split('|');
-            return {
-                level: parts[0],
-                division: parts[1] || '' // Handle cases where division might be empty
-            };
-        }).filter(c => c.level); // Basic validation
+        teacher.assignments = this.readTeacherAssignments(formData);
+        if (teacher.assignments.length === 0) {
+            alert('Ajoutez au moins une affectation (matière et classe).');
+            return;
+        }
+
+        if (formData.get('id')) {
+            // An emptied quota goes back to the school default
+            Storage.updateTeacher(formData.get('id'), { weeklyQuota: undefined, ...teacher });
+            this.closeModal();
+            this.navigate('teachers');
+            return;
+        }
 
         // Generate Credentials
         // Use prefix 'prof.'
@@ -2640,9 +7166,30 @@ const app = {
         this.navigate('teachers');
     },
 
-    addTeacherClassRow() {
+    // (subject, class) rows of the teacher form -> [{ subjectId, level, division }], duplicates and incomplete rows dropped
+    readTeacherAssignments(formData) {
+        const subjectIds = formData.getAll('assignment_subject[]');
+        const assignments = [];
+        formData.getAll('class_full[]').forEach((val, i) => {
+            const [level, division] = val.split('|');
+            const subjectId = subjectIds[i];
+            if (!level || !subjectId) return;
+            if (assignments.some(a => a.subjectId === subjectId && a.level === level && a.division === (division || ''))) return;
+            assignments.push({ subjectId, level, division: division || '' });
+        });
+        return assignments;
+    },
+
+    // New rows start with the subject of the previous row (a teacher usually has one subject for several classes).
+    // `assignment` prefills the row when editing a teacher.
+    addTeacherClassRow(assignment = null) {
         const container = document.getElementById('teacher-classes-container');
         if (!container) return;
+        const previousSubjects = container.querySelectorAll('select[name="assignment_subject[]"]');
+        const lastSubject = assignment ? assignment.subjectId
+            : previousSubjects.length > 0 ? previousSubjects[previousSubjects.length - 1].value : '';
+        const selectedClass = assignment ? `${assignment.level}|${assignment.division || ''}` : '';
+        const subjects = Storage.getSubjects();
 
         // Get existing classes dynamically
         const students = Storage.getStudents();
@@ -2654,6 +7201,8 @@ const app = {
             }
         });
 
+        // A class without students any more stays selectable on the row that uses it
+        if (assignment) uniqueClasses.add(JSON.stringify({ level: assignment.level, classroom: assignment.division || '' }));
         const options = Array.from(uniqueClasses).map(c => JSON.parse(c));
         // Sort logic
         const levelOrder = { '6ème': 6, '5ème': 5, '4ème': 4, '3ème': 3, 'Lycée': 0 };
@@ -2668,17 +7217,21 @@ const app = {
 
         const div = document.createElement('div');
         div.style.display = 'grid';
-        div.style.gridTemplateColumns = '1fr 32px'; // Single dropdown + delete button
+        div.style.gridTemplateColumns = '1fr 1fr 32px'; // Subject + class + delete button
         div.style.gap = '8px';
         div.style.marginBottom = '8px';
 
         const optionsHtml = options.map(c => {
             const val = `${c.level}|${c.classroom || ''}`;
             const label = `${c.level} ${c.classroom || ''}`;
-            return `<option value="${val}">${label}</option>`;
+            return `<option value="${val}" ${val === selectedClass ? 'selected' : ''}>${label}</option>`;
         }).join('');
 
         div.innerHTML = `
+        <select name="assignment_subject[]" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;">
+            <option value="">Choisir une matière</option>
+            ${subjects.map(s => `<option value="${s.id}" ${s.id === lastSubject ? 'selected' : ''}>${s.name}</option>`).join('')}
+        </select>
         <select name="class_full[]" class="form-input" style="padding: 6px; background: rgba(0,0,0,0.2); color:white;">
             <option value="">Choisir une classe existante</option>
             ${optionsHtml}
@@ -2704,6 +7257,8 @@ const app = {
     },
 
     deleteSubject(id) {
+        const dependents = Storage.getDependents('subject', id);
+        if (Object.keys(dependents).length > 0) return UI.showDeleteModal('subject', id, dependents);
         if (confirm('Supprimer cette matière ?')) {
             Storage.deleteSubject(id);
             this.navigate('subjects');
@@ -2711,6 +7266,8 @@ const app = {
     },
 
     deleteTeacher(id) {
+        const dependents = Storage.getDependents('teacher', id);
+        if (Object.keys(dependents).length > 0) return UI.showDeleteModal('teacher', id, dependents);
         if (confirm('Supprimer ce professeur ?')) {
             Storage.deleteTeacher(id);
             this.navigate('teachers');
@@ -2718,12 +7275,54 @@ const app = {
     },
 
     deleteStudent(id) {
+        const dependents = Storage.getDependents('student', id);
+        if (Object.keys(dependents).length > 0) return UI.showDeleteModal('student', id, dependents);
         if (confirm('Êtes-vous sûr de vouloir supprimer cet élève ? Cette action est irréversible.')) {
             Storage.deleteStudent(id);
             this.navigate('students');
         }
     },
 
+    // "Tout supprimer" of the delete dialog: the Storage deletes take the dependent records along
+    cascadeDelete(entity, id) {
+        const deletes = { student: 'deleteStudent', subject: 'deleteSubject', teacher: 'deleteTeacher' };
+        if (!confirm('Supprimer définitivement ces données ? Cette action est irréversible.')) return;
+        if (Storage[deletes[entity]](id) === false) {
+            alert('Des paiements sont enregistrés pour cet élève : il ne peut être qu\'archivé.');
+            return;
+        }
+        this.closeModal();
+        this.navigate(ARCHIVABLE_ENTITIES[entity].view);
+    },
+
+    archiveRecord(entity, id) {
+        Storage.archiveRecord(entity, id);
+        this.closeModal();
+        this.navigate(ARCHIVABLE_ENTITIES[entity].view);
+    },
+
+    restoreRecord(entity, id) {
+        Storage.restoreRecord(entity, id);
+        UI.showIntegrityModal();
+    },
+
+    showIntegrityModal() {
+        if (sessionStorage.getItem('edutrack_role') !== 'principal') return;
+        UI.showIntegrityModal();
+    },
+
+    handleRepairOrphans(e) {
+        e.preventDefault();
+        const selection = { student: [], subject: [], teacher: [] };
+        new FormData(e.target).getAll('repair').forEach(value => {
+            const [entity, key] = value.split('|');
+            selection[entity].push(key);
+        });
+        if (!confirm('Réparer les données sélectionnées ? Les données orphelines seront supprimées.')) return;
+        Storage.repairOrphans(selection);
+        UI.showIntegrityModal();
+    },
+
     deletePrincipal(id) {
         if (confirm('Supprimer ce principal ?')) {
             Storage.deletePrincipal(id);
@@ -2743,6 +7342,11 @@ const app = {
             return;
         }
 
+        if (!Storage.canEditGrades(Storage.getGradeStatus(subjectId, term, formData.get('level'), formData.get('classroom')), subjectId, formData.get('level'), formData.get('classroom'))) {
+            alert('Ces notes ont été soumises ou validées et ne sont plus modifiables.');
+            return;
+        }
+
         // Collect grades
         const studentsData = {}; // studentId -> { values: [], average }
         let hasData = false;
@@ -2831,23 +7435,84 @@ const app = {
         // UI.renderGradesTable('grades-list-container', subjectId, term, document.getElementById('grade-level-select').value, document.getElementById('grade-class-select').value);
     },
 
+    changeGradeStatus(subjectId, term, level, classroom, status) {
+        const role = sessionStorage.getItem('edutrack_role');
+        const current = Storage.getGradeStatus(subjectId, term, level, classroom);
+        const allowed = role === 'principal' || (role === 'teacher' && current === 'open' && status === 'submitted' &&
+            Storage.teacherTeaches(Storage.getCurrentTeacher(), subjectId, level, classroom));
+        if (!allowed) return;
+
+        const messages = {
+            submitted: 'Soumettre ces notes au principal ? Vous ne pourrez plus les modifier.',
+            validated: 'Valider ces notes ? Le professeur ne pourra plus les modifier.',
+            locked: 'Verrouiller ces notes ? Plus personne ne pourra les modifier.',
+            open: 'Rouvrir la saisie pour le professeur ?'
+        };
+        if (!confirm(messages[status])) return;
+
+        Storage.setGradeStatus(subjectId, term, level, classroom, status);
+        this.refreshGradesView();
+    },
+
     calculateRowAverage(studentId) {
-        let sum = 0;
-        let count = 0;
-        for (let i = 0; i < 5; i++) {
-            const input = document.querySelector(`input[name="grade_${studentId}_${i}"]`);
-            if (input && input.value !== '') {
-                sum += parseFloat(input.value);
-                count++;
-            }
+        // Weight and scale of each evaluation are carried by its input
+        const values = [];
+        const evaluations = [];
+        let input;
+        for (let i = 0; (input = document.querySelector(`input[name="grade_${studentId}_${i}"]`)); i++) {
+            values.push(input.value);
+            evaluations.push({ weight: input.dataset.weight, scale: input.dataset.scale });
         }
 
-        const avgField = document.getElementById(`avg_${studentId}`);
-        if (count > 0) {
-            avgField.value = (sum / count).toFixed(2);
-        } else {
-            avgField.value = '';
+        document.getElementById(`avg_${studentId}`).value = Storage.computeEvaluationAverage(values, evaluations);
+    },
+
+    handleSaveEvaluationPlan(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        const ids = formData.getAll('eval_id[]');
+        const types = formData.getAll('eval_type[]');
+        const dates = formData.getAll('eval_date[]');
+        const weights = formData.getAll('eval_weight[]');
+        const scales = formData.getAll('eval_scale[]');
+        const evaluations = formData.getAll('eval_name[]').map((name, i) => ({
+            // Keep existing ids so saved marks follow their evaluation
+            id: ids[i] || `ev_${Date.now()}_${i}`,
+            name: name.trim(),
+            type: types[i],
+            date: dates[i],
+            weight: parseFloat(weights[i]) || 0,
+            scale: parseFloat(scales[i]) || 20
+        })).filter(ev => ev.name);
+
+        if (evaluations.length === 0) {
+            alert('Définissez au moins une évaluation.');
+            return;
+        }
+
+        const plan = [formData.get('subjectId'), formData.get('term'), formData.get('level'), formData.get('classroom')];
+        if (!Storage.canEditGrades(Storage.getGradeStatus(...plan), plan[0], plan[2], plan[3])) {
+            alert('Ces notes ont été soumises ou validées et ne sont plus modifiables.');
+            return;
         }
+        const removed = Storage.getEvaluationPlan(...plan).filter(p => !evaluations.some(ev => ev.id === p.id));
+        if (removed.length > 0 && !confirm(`Les notes déjà saisies pour ${removed.map(r => r.name).join(', ')} seront effacées. Continuer ?`)) return;
+
+        Storage.saveEvaluationPlan(...plan, evaluations);
+        this.closeModal();
+        this.refreshGradesView();
+    },
+
+    addEvaluationRow() {
+        const container = document.getElementById('evaluations-container');
+        if (container) container.insertAdjacentHTML('beforeend', UI.evaluationRowHtml());
+    },
+
+    // Picking a type proposes its usual weight (a composition counts double)
+    applyEvaluationTypeWeight(select) {
+        const weightInput = select.parentElement.querySelector('input[name="eval_weight[]"]');
+        if (weightInput) weightInput.value = EVALUATION_TYPES[select.value].weight;
     },
 
     handleLogin(e) {
@@ -2924,7 +7589,7 @@ const app = {
         const allTeachers = Storage.get().teachers || []; // Bypass filter
 
         // Debugging Aid: Case insensitive username match check
-        const teacherByUsername = allTeachers.find(t => t.username.toLowerCase() === username.toLowerCase());
+        const teacherByUsername = allTeachers.find(t => !t.archived && t.username.toLowerCase() === username.toLowerCase());
 
         if (teacherByUsername) {
             if (teacherByUsername.password === password) {